@@ -1,4 +1,23 @@
 require("dotenv").config();
+const os = require("os");
+const path = require("path");
+
+/**
+ * Parse "lang:value" pairs (e.g. "zh:40,ja:50") into a map of numbers
+ * @param {string} value - Comma separated pairs
+ * @param {Object} defaults - Values used for languages that aren't listed
+ * @returns {Object} - Map of language codes to numbers
+ */
+function parseLanguageMap(value, defaults) {
+  const map = { ...defaults };
+  (value || "").split(",").forEach((pair) => {
+    const [language, number] = pair.split(":").map((part) => part.trim());
+    if (language && !isNaN(parseInt(number, 10))) {
+      map[language.toLowerCase()] = parseInt(number, 10);
+    }
+  });
+  return map;
+}
 
 module.exports = {
   // MongoDB configuration
@@ -8,6 +27,26 @@ module.exports = {
     collections: {
       articles: process.env.COLLECTION_NAME || "crawled_articles",
       processedFiles: "crawled_processed_files",
+      watermarks: "crawled_watermarks",
+      links: "crawled_links",
+      issues: "crawled_issues",
+      deadLetters: "crawled_dead_letters",
+      revisions: "article_revisions",
+      duplicateClusters: "crawled_duplicate_clusters",
+      migrations: "crawled_migrations",
+    },
+    // Connection pool of the client shared by all models
+    pool: {
+      maxPoolSize: parseInt(process.env.MONGODB_MAX_POOL_SIZE || "10", 10),
+      minPoolSize: parseInt(process.env.MONGODB_MIN_POOL_SIZE || "0", 10),
+      maxIdleTimeMs: parseInt(
+        process.env.MONGODB_MAX_IDLE_TIME_MS || "300000",
+        10
+      ),
+      serverSelectionTimeoutMs: parseInt(
+        process.env.MONGODB_SERVER_SELECTION_TIMEOUT_MS || "30000",
+        10
+      ),
     },
   },
 
@@ -15,14 +54,127 @@ module.exports = {
   s3: {
     bucket: process.env.S3_BUCKET || "second-hapttic-bucket",
     region: process.env.AWS_REGION,
+    // SQS queue receiving the bucket's ObjectCreated notifications; when set,
+    // incremental runs read changed keys from it instead of walking the bucket
+    events: {
+      queueUrl: process.env.S3_EVENTS_QUEUE_URL || null,
+      // Messages taken per run, the rest stay queued for the next one
+      maxMessages: parseInt(process.env.S3_EVENTS_MAX_MESSAGES || "10000", 10),
+      // Received messages reappear after this long unless the run deleted them
+      visibilityTimeoutSeconds: parseInt(
+        process.env.S3_EVENTS_VISIBILITY_TIMEOUT || "3600",
+        10
+      ),
+    },
+  },
+
+  // Storage source configuration ("s3" or "local")
+  source: {
+    type: process.env.SOURCE_TYPE || "s3",
+    localDir: process.env.LOCAL_SOURCE_DIR || "./data",
   },
 
   // Readability configuration
   readability: {
     minContentLength: 100, // Minimum length for meaningful content
+    // Per-language overrides, scripts like CJK say more per character
+    minContentLengthByLanguage: parseLanguageMap(
+      process.env.MIN_CONTENT_LENGTH_BY_LANGUAGE,
+      { zh: 40, ja: 50, ko: 60 }
+    ),
     defaultUrl: "https://example.com",
   },
 
+  // Incremental listing configuration
+  watermark: {
+    // Objects modified this long before the stored watermark are listed again,
+    // so late-arriving uploads are not missed (already processed ones are skipped)
+    overlapMinutes: parseInt(process.env.WATERMARK_OVERLAP_MINUTES || "15", 10),
+  },
+
+  // Download pool configuration (concurrency is the number of groups in flight)
+  downloads: {
+    concurrency: parseInt(process.env.DOWNLOAD_CONCURRENCY || "8", 10),
+    maxAttempts: parseInt(process.env.DOWNLOAD_MAX_ATTEMPTS || "5", 10),
+    baseDelayMs: 200,
+    maxDelayMs: 10000,
+  },
+
+  // Streaming pipeline configuration
+  pipeline: {
+    // Groups whose articles and processed files are saved together
+    checkpointSize: parseInt(process.env.CHECKPOINT_SIZE || "50", 10),
+    // Incomplete pairs re-checked each run for their missing file
+    reconcileLimit: parseInt(process.env.RECONCILE_LIMIT || "1000", 10),
+    reconcileMaxAgeHours: parseInt(
+      process.env.RECONCILE_MAX_AGE_HOURS || "168",
+      10
+    ),
+    // A pair still missing its file waits this long before the next re-check,
+    // doubling with every re-check up to the cap
+    reconcileBaseDelayMs: parseInt(
+      process.env.RECONCILE_RETRY_BASE_MS || "900000",
+      10
+    ),
+    reconcileMaxDelayMs: parseInt(
+      process.env.RECONCILE_RETRY_MAX_MS || "86400000",
+      10
+    ),
+  },
+
+  // Exact and near-duplicate content detection
+  duplicates: {
+    // Shorter texts aren't fingerprinted, they match too many other pages
+    minWords: parseInt(process.env.DUPLICATE_MIN_WORDS || "50", 10),
+    // Estimated shingle similarity for a near duplicate
+    minSimilarity: parseFloat(process.env.DUPLICATE_MIN_SIMILARITY || "0.6"),
+    candidateLimit: 50,
+  },
+
+  // Dead-letter queue for groups that failed to download, parse or save
+  deadLetters: {
+    maxAttempts: parseInt(process.env.DLQ_MAX_ATTEMPTS || "8", 10),
+    baseDelayMs: parseInt(process.env.DLQ_RETRY_BASE_MS || "900000", 10),
+    maxDelayMs: parseInt(process.env.DLQ_RETRY_MAX_MS || "86400000", 10),
+    // Due retries drained per run
+    retryLimit: parseInt(process.env.DLQ_RETRY_LIMIT || "200", 10),
+  },
+
+  // Stored article content renditions
+  content: {
+    maxHtmlLength: parseInt(
+      process.env.MAX_CONTENT_HTML_LENGTH || "200000",
+      10
+    ),
+    maxMarkdownLength: parseInt(
+      process.env.MAX_CONTENT_MARKDOWN_LENGTH || "100000",
+      10
+    ),
+  },
+
+  // Parser worker pool (JSDOM and the extractors run off the main thread)
+  parser: {
+    // Number of worker threads, 0 parses on the main thread
+    workers: parseInt(
+      process.env.PARSER_WORKERS || String(Math.max(1, os.cpus().length - 1)),
+      10
+    ),
+    // A page taking longer than this is killed and recorded as a failure
+    timeoutMs: parseInt(process.env.PARSE_TIMEOUT_MS || "30000", 10),
+    // Time a new worker gets to load the parser before its first page, so
+    // the boot doesn't count against that page's timeout
+    bootTimeoutMs: parseInt(process.env.PARSER_BOOT_TIMEOUT_MS || "60000", 10),
+    // Heap limit of each worker, a page exceeding it fails the same way
+    maxMemoryMb: parseInt(process.env.PARSER_MAX_MEMORY_MB || "512", 10),
+  },
+
+  // Extraction configuration
+  extraction: {
+    // Per-domain CSS selector rules, see README "Per-Domain Extraction Rules"
+    domainRulesFile:
+      process.env.DOMAIN_RULES_FILE || path.join(__dirname, "domainRules.json"),
+  },
+
   // File processing configuration
   files: {
     htmlFileName: "page.html",
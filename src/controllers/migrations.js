@@ -0,0 +1,151 @@
+const db = require("../services/database");
+const migrations = require("../migrations");
+const migrationsModel = require("../models/migrations");
+
+/**
+ * List every migration with its applied state
+ * @returns {Promise<Array>} - { version, description, applied, appliedAt } per migration
+ */
+async function getMigrationStatus() {
+  const applied = await migrationsModel.getAppliedMigrations();
+  const appliedByVersion = {};
+  applied.forEach((migration) => {
+    appliedByVersion[migration.version] = migration;
+  });
+
+  return migrations.map((migration) => ({
+    version: migration.version,
+    description: migration.description,
+    applied: !!appliedByVersion[migration.version],
+    appliedAt: appliedByVersion[migration.version]?.appliedAt || null,
+  }));
+}
+
+/**
+ * Apply the migrations that haven't run yet, in version order
+ * A migration is recorded in the migrations collection once it succeeds;
+ * the first failure stops the run so later migrations never run on top of it.
+ * A destructive migration only runs with the apply option, unless its plan
+ * shows it has nothing to change; otherwise the run reports the plan and
+ * stops before it.
+ * @param {Object} [options] - Run options
+ * @param {number} [options.to] - Stop after this version
+ * @param {Boolean} [options.dryRun] - Only list the pending migrations and the plans of those that have one
+ * @param {Boolean} [options.apply] - Also apply destructive migrations
+ * @returns {Promise<Object>} - { applied: [{ version, durationMs, result }], pending, blocked }, plus plans on a dry run
+ */
+async function runMigrations(options = {}) {
+  const status = await getMigrationStatus();
+  const pending = status.filter(
+    (migration) =>
+      !migration.applied && (!options.to || migration.version <= options.to)
+  );
+
+  console.log(
+    `\n\n================ PENDING MIGRATIONS (${pending.length}) ================`
+  );
+  pending.forEach((migration) => {
+    console.log(`- ${migration.version}: ${migration.description}`);
+  });
+
+  if (options.dryRun || pending.length === 0) {
+    if (pending.length === 0) {
+      console.log("Database is up to date");
+      return { applied: [], pending };
+    }
+
+    // Data migrations report what they would delete or rewrite
+    const plans = [];
+    for (const { version } of pending) {
+      const migration = migrations.find((entry) => entry.version === version);
+      if (!migration.plan) continue;
+      const plan = await migration.plan(db);
+      console.log(`\nMigration ${version} would change:`);
+      console.log(JSON.stringify(plan));
+      plans.push({ version, plan });
+    }
+
+    console.log("\nDry run: nothing applied");
+    return { applied: [], pending, plans };
+  }
+
+  const applied = [];
+  let blocked = null;
+  for (const { version } of pending) {
+    const migration = migrations.find((entry) => entry.version === version);
+
+    if (migration.destructive && !options.apply) {
+      const plan = await migration.plan(db);
+      if (plan.changes > 0) {
+        console.log(`\nMigration ${version} would change:`);
+        console.log(JSON.stringify(plan));
+        console.log(
+          `Stopped before migration ${version}: review the documents above, then run "node src/index.js migrate up --apply" to apply it`
+        );
+        blocked = { version, plan };
+        break;
+      }
+    }
+
+    console.log(`\nApplying migration ${version}: ${migration.description}`);
+
+    const startTime = Date.now();
+    let result;
+    try {
+      result = await migration.up(db);
+    } catch (error) {
+      console.error(`Migration ${version} failed:`, error.message);
+      throw error;
+    }
+    const durationMs = Date.now() - startTime;
+
+    await migrationsModel.recordMigration(migration, { durationMs, result });
+    console.log(`Applied migration ${version} in ${durationMs}ms`);
+    if (result) {
+      console.log(JSON.stringify(result));
+    }
+    applied.push({ version, durationMs, result });
+  }
+
+  console.log(
+    `\n\n================ APPLIED MIGRATIONS (${applied.length}) ================`
+  );
+  applied.forEach((migration) => {
+    console.log(`- ${migration.version} (${migration.durationMs}ms)`);
+  });
+
+  return {
+    applied,
+    pending: pending.slice(applied.length),
+    blocked,
+  };
+}
+
+/**
+ * Apply pending migrations before processing
+ * The processor relies on the indexes they create (unique pair_id for the
+ * upserts, text hash and MinHash bands for duplicate lookups), which it no
+ * longer creates itself. Destructive migrations with documents to change are
+ * left to "migrate up --apply" and fail the call.
+ * @returns {Promise<void>}
+ * @throws {Error} - When a destructive migration has documents to change
+ */
+async function applyPendingMigrations() {
+  const pending = (await getMigrationStatus()).filter(
+    (migration) => !migration.applied
+  );
+  if (pending.length === 0) return;
+
+  const { blocked } = await runMigrations();
+  if (blocked) {
+    throw new Error(
+      `Migration ${blocked.version} would change ${blocked.plan.changes} documents, review them with "node src/index.js migrate up --dry-run" and apply it with "node src/index.js migrate up --apply" first`
+    );
+  }
+}
+
+module.exports = {
+  getMigrationStatus,
+  runMigrations,
+  applyPendingMigrations,
+};
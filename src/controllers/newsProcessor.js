@@ -1,35 +1,575 @@
-const s3Service = require("../services/s3");
+const sources = require("../services/sources");
 const fileManager = require("../services/fileManager");
 const fileProcessor = require("../services/fileProcessor");
 const parser = require("../services/parser");
+const metadataValidator = require("../services/metadataValidator");
 const articlesModel = require("../models/articles");
 const processedFilesModel = require("../models/processedFiles");
+const watermarksModel = require("../models/watermarks");
+const linksModel = require("../models/links");
+const issuesModel = require("../models/issues");
+const deadLettersModel = require("../models/deadLetters");
+const revisionsModel = require("../models/revisions");
+const duplicatesModel = require("../models/duplicates");
+const watermarkService = require("../services/watermark");
+const concurrency = require("../services/concurrency");
+const parserPoolService = require("../services/parserPool");
+const config = require("../config");
 const cliProgress = require("cli-progress");
 const colors = require("colors");
 
+/**
+ * Create an empty checkpoint that collects groups until they are saved
+ * @returns {Object} - Empty checkpoint
+ */
+function createCheckpoint() {
+  return {
+    groupCount: 0,
+    articles: [],
+    newlyProcessedFiles: {},
+    processingResults: {},
+    pairDetails: {},
+    groupIssues: [],
+    groupFiles: {},
+    deadLetters: [],
+    succeededGroups: [],
+    retriedGroups: [],
+  };
+}
+
+/**
+ * Add a processed group to a checkpoint
+ * @param {Object} checkpoint - Checkpoint from createCheckpoint
+ * @param {Object} group - Group passed to processGroup
+ * @param {Object} outcome - Result of processGroup
+ */
+function addToCheckpoint(checkpoint, group, outcome) {
+  if (outcome.article) {
+    checkpoint.articles.push(outcome.article);
+  }
+  Object.assign(checkpoint.newlyProcessedFiles, outcome.newlyProcessedFiles);
+  Object.assign(checkpoint.processingResults, outcome.processingResults);
+  checkpoint.pairDetails[outcome.groupKey] = outcome.pairDetails;
+  checkpoint.groupIssues.push(outcome.groupIssues);
+  checkpoint.groupFiles[outcome.groupKey] = group.files;
+  if (outcome.failure) {
+    checkpoint.deadLetters.push(outcome.failure);
+  } else {
+    checkpoint.succeededGroups.push(outcome.groupKey);
+  }
+  if (group.retry) {
+    checkpoint.retriedGroups.push(outcome.groupKey);
+  }
+  checkpoint.groupCount++;
+}
+
+/**
+ * Download and parse a single hash group and build its article
+ * Only small summaries are returned, so the HTML and DOM of the group can be
+ * released as soon as the article is built
+ * A page the parser gives up on (timeout, memory cap) marks its HTML file failed
+ * @param {Object} group - Group from fileProcessor.groupFilesByHash
+ * @param {Object} processedFiles - Object tracking already processed files
+ * @param {Object} source - Storage source to read from
+ * @param {Object} [options] - Processing options
+ * @param {Array<string>} [options.crawledDomains] - All crawled domains, to label cross-domain links
+ * @param {Object} [options.parserPool] - Pool from parserPool.createParserPool (parses inline without one)
+ * @returns {Promise<Object>} - Article, per-file results and extraction problems
+ */
+async function processGroup(group, processedFiles, source, options = {}) {
+  const groupKey = `${group.domain}/${group.hash}`;
+  const read = await fileManager.readGroupFiles(group, processedFiles, source);
+
+  // Issues can only be judged (and resolved) when every file could be read
+  const filesRead = Object.values(read.processingResults).every(
+    (result) => result.success
+  );
+
+  // A failed download or parse sends the group to the dead-letter queue
+  let failure = null;
+  const failedDownload = Object.entries(read.processingResults).find(
+    ([, result]) => !result.success
+  );
+  if (failedDownload) {
+    const [key, result] = failedDownload;
+    failure = {
+      stage: deadLettersModel.STAGES.DOWNLOAD,
+      key,
+      error: result.error,
+      errorClass: result.errorClass,
+      retryable: result.retryable,
+    };
+  }
+
+  const content = {
+    domain: group.domain,
+    hash: group.hash,
+    metadata: null,
+    parsed: null,
+  };
+  let invalidMetadata = null;
+  const pairDetails = {};
+  let failedReadability = null;
+
+  const htmlFile = read.results.find((file) => file.type === "html");
+  const metadataFile = read.results.find((file) => file.type === "metadata");
+
+  // Parse and validate the metadata first so extraction gets the real page URL
+  let validation = null;
+  if (metadataFile) {
+    try {
+      content.metadata = JSON.parse(metadataFile.content);
+      validation = metadataValidator.validateMetadata(content.metadata, {
+        domain: group.domain,
+      });
+    } catch (error) {
+      console.error(`Error parsing metadata JSON for ${groupKey}:`, error);
+      content.metadata = { error: "Invalid JSON" };
+      validation = metadataValidator.invalidJsonResult(error);
+    }
+
+    // Record every schema violation on the pair, with its reason code
+    pairDetails.metadataValid = validation.valid;
+    pairDetails.metadataViolations = validation.violations;
+    if (!validation.valid) {
+      invalidMetadata = {
+        id: groupKey,
+        metadata: content.metadata,
+        violations: validation.violations,
+      };
+    }
+  }
+
+  // Without metadata the HTML is left for a later run (status awaiting_metadata)
+  const awaitingMetadata = !!htmlFile && !metadataFile;
+
+  if (htmlFile && metadataFile) {
+    // Use Readability to parse HTML content
+    const url = validation.urlUsable ? content.metadata.url : "";
+    const parseOptions = {
+      domain: group.domain,
+      crawledDomains: options.crawledDomains,
+    };
+
+    let parsedPage;
+    let parseError = null;
+    try {
+      parsedPage = options.parserPool
+        ? await options.parserPool.parsePage(
+            htmlFile.content,
+            url,
+            parseOptions
+          )
+        : parser.parsePage(htmlFile.content, url, parseOptions);
+    } catch (error) {
+      // Record the page as failed instead of letting it hold up the run
+      console.error(`Error parsing ${groupKey}: ${error.message}`);
+      parseError = error.message;
+      read.processingResults[htmlFile.key] = {
+        ...read.processingResults[htmlFile.key],
+        success: false,
+        error: error.message,
+      };
+      failure = {
+        stage: deadLettersModel.STAGES.PARSE,
+        key: htmlFile.key,
+        error: error.message,
+        errorClass: error.code || error.name || "Error",
+        retryable: error.code !== "PARSE_OUT_OF_MEMORY",
+      };
+      parsedPage = {
+        article: null,
+        pageType: null,
+        pageSignals: [],
+        language: null,
+        minContentLength: config.readability.minContentLength,
+      };
+    }
+    const parsedArticle = parsedPage.article;
+    content.parsed = parsedArticle;
+    content.encoding = {
+      encoding: htmlFile.encoding,
+      source: htmlFile.encodingSource,
+      compression: htmlFile.compression,
+    };
+    const pageType = parsedPage.pageType;
+    if (pageType) pairDetails.pageType = pageType;
+    if (parsedPage.language) pairDetails.language = parsedPage.language;
+
+    // Check if Readability failed to extract meaningful content
+    if (
+      !parsedArticle ||
+      !parsedArticle.content ||
+      parsedArticle.textContent.trim().length < parsedPage.minContentLength
+    ) {
+      failedReadability = {
+        id: groupKey,
+        url: url,
+        pageType,
+        language: parsedPage.language,
+        parseError,
+        htmlLength: htmlFile.content.length,
+        parsedResult: parsedArticle
+          ? {
+              extractionMethod: parsedArticle.extractionMethod,
+              extractionScore: parsedArticle.extractionScore,
+              title: parsedArticle.title,
+              excerpt: parsedArticle.excerpt,
+              contentLength: parsedArticle.textContent
+                ? parsedArticle.textContent.trim().length
+                : 0,
+            }
+          : null,
+      };
+    }
+  }
+
+  // Collect the issues of this group, they are tracked across runs
+  const issues = [];
+  if (awaitingMetadata) {
+    issues.push({
+      type: issuesModel.ISSUE_TYPES.BROKEN_LINK,
+      details: { htmlKey: htmlFile.key },
+    });
+  }
+  if (invalidMetadata) {
+    issues.push({
+      type: issuesModel.ISSUE_TYPES.INVALID_METADATA,
+      details: { violations: invalidMetadata.violations },
+    });
+  }
+  if (failedReadability) {
+    issues.push({
+      type: issuesModel.ISSUE_TYPES.FAILED_EXTRACTION,
+      details: {
+        url: failedReadability.url,
+        pageType: failedReadability.pageType,
+        parseError: failedReadability.parseError,
+        contentLength: failedReadability.parsedResult?.contentLength || 0,
+      },
+    });
+  }
+
+  return {
+    groupKey,
+    article: fileProcessor.createArticleObject(content),
+    pairDetails,
+    groupIssues: {
+      domain: group.domain,
+      hash: group.hash,
+      issues,
+      evaluated: filesRead,
+    },
+    failure: failure && {
+      domain: group.domain,
+      hash: group.hash,
+      files: group.files,
+      ...failure,
+    },
+    newlyProcessedFiles: read.newlyProcessedFiles,
+    processingResults: read.processingResults,
+    skippedCount: read.skippedCount,
+    awaitingMetadata,
+    invalidMetadata,
+    failedReadability,
+  };
+}
+
+/**
+ * List the domains we crawl, links to them are cross-domain
+ * @param {Array} groups - Hash groups of the current run
+ * @returns {Promise<Array<string>>} - Domains seen before or in this run
+ */
+async function getCrawledDomains(groups) {
+  const processedDomains = await processedFilesModel.getProcessedDomains();
+  return [
+    ...new Set(
+      processedDomains
+        .concat(groups.map((group) => group.domain))
+        .filter(Boolean)
+    ),
+  ];
+}
+
+/**
+ * Move the groups of articles that failed to save to the dead-letter queue
+ * @param {Object} checkpoint - Checkpoint from createCheckpoint
+ * @param {Array} articles - Article objects whose save failed
+ * @param {string} stage - Failed stage (deadLetters.STAGES)
+ * @param {Error} error - Save error
+ */
+function deadLetterArticles(checkpoint, articles, stage, error) {
+  const failedIds = new Set(articles.map((article) => article.id));
+  const queued = new Set(
+    checkpoint.deadLetters.map((entry) => `${entry.domain}/${entry.hash}`)
+  );
+  articles.forEach((article) => {
+    // A group that already failed an earlier stage keeps that entry
+    if (queued.has(article.id)) return;
+    checkpoint.deadLetters.push({
+      domain: article.domain,
+      hash: article.hash,
+      files: checkpoint.groupFiles[article.id] || [],
+      stage,
+      key: null,
+      error: error.message,
+      errorClass: error.code || error.name || "Error",
+      retryable: true,
+    });
+  });
+  checkpoint.succeededGroups = checkpoint.succeededGroups.filter(
+    (groupKey) => !failedIds.has(groupKey)
+  );
+}
+
+/**
+ * Save the articles and processed files collected in a checkpoint
+ * New articles are inserted; stored ones are only updated when their content
+ * hash changed, keeping the previous version as a revision
+ * @param {Object} checkpoint - Checkpoint from createCheckpoint
+ * @param {Boolean} saveToMongoDB - Whether to save articles to MongoDB
+ * @param {Object} [options] - Save options
+ * @param {Boolean} [options.overwrite] - Also replace stored articles whose content hash didn't change
+ * @param {Boolean} [options.reprocessed] - The groups were reprocessed, see processedFiles.saveProcessedFiles
+ * @returns {Promise<Object>} - New, revised and skipped article summaries, dead-lettered group keys and the save result
+ */
+async function saveCheckpoint(checkpoint, saveToMongoDB, options = {}) {
+  const articleCandidates = checkpoint.articles;
+
+  // Check which articles already exist in the database
+  const articleIds = articleCandidates.map((article) => article.id);
+  const existingArticles = saveToMongoDB
+    ? await articlesModel.checkExistingArticles(articleIds)
+    : {};
+
+  // Split new articles from the ones already in the database
+  const newArticles = articleCandidates.filter(
+    (article) => !existingArticles[article.id]
+  );
+  const storedArticles = articleCandidates.filter(
+    (article) => existingArticles[article.id]
+  );
+
+  if (newArticles.length > 0) {
+    console.log("\n----- NEW ARTICLES -----");
+    newArticles.forEach((article) => {
+      console.log(`- ${article.id} (${article.title})`);
+    });
+  }
+
+  // Save articles to MongoDB if requested
+  let mongoResult = {
+    upsertedCount: 0,
+    modifiedCount: 0,
+    matchedCount: 0,
+    merged: [],
+  };
+  let savedArticles = newArticles;
+  let revisedArticles = [];
+  let skippedArticles = storedArticles;
+  let insertedArticles = [];
+  let articlesSaved = true;
+  if (saveToMongoDB && articleCandidates.length > 0) {
+    try {
+      if (newArticles.length > 0) {
+        mongoResult = await articlesModel.saveArticles(newArticles);
+      }
+
+      // Copies merged into an existing article keep a pointer to it
+      mongoResult.merged.forEach((duplicate) => {
+        checkpoint.pairDetails[duplicate.id] = {
+          ...checkpoint.pairDetails[duplicate.id],
+          mergedInto: duplicate.into,
+        };
+      });
+
+      // Re-crawled articles whose content changed become a new revision
+      const revisionResult = await revisionsModel.saveRevisions(
+        storedArticles,
+        { updateUnchanged: options.overwrite }
+      );
+      const updatedIds = new Set(revisionResult.updatedIds);
+      revisedArticles = storedArticles.filter((article) =>
+        updatedIds.has(article.id)
+      );
+      skippedArticles = storedArticles.filter(
+        (article) => !updatedIds.has(article.id)
+      );
+
+      // Merged copies don't add edges, the canonical article already has them
+      const mergedIds = new Set(mongoResult.merged.map((entry) => entry.id));
+      insertedArticles = newArticles.filter(
+        (article) => !mergedIds.has(article.id)
+      );
+    } catch (error) {
+      // Dead-letter the groups instead of aborting the run
+      console.error(`Error saving checkpoint articles: ${error.message}`);
+      deadLetterArticles(
+        checkpoint,
+        articleCandidates,
+        deadLettersModel.STAGES.SAVE,
+        error
+      );
+      savedArticles = [];
+      revisedArticles = [];
+      skippedArticles = [];
+      insertedArticles = [];
+      articlesSaved = false;
+    }
+  }
+
+  let clustered = [];
+  if (saveToMongoDB && articlesSaved) {
+    // A retried group may have failed after its article was stored, so its
+    // links and clusters are written again even when the article is unchanged
+    const retriedIds = new Set(checkpoint.retriedGroups);
+    const linkedArticles = insertedArticles.concat(
+      revisedArticles,
+      skippedArticles.filter(
+        (article) =>
+          retriedIds.has(article.id) && existingArticles[article.id] === true
+      )
+    );
+    try {
+      await linksModel.saveArticleLinks(linkedArticles);
+    } catch (error) {
+      // The articles are stored, only their links need another attempt
+      console.error(`Error saving checkpoint links: ${error.message}`);
+      deadLetterArticles(
+        checkpoint,
+        linkedArticles,
+        deadLettersModel.STAGES.LINKS,
+        error
+      );
+    }
+
+    // Link the articles to the clusters of their (near) duplicates; revised
+    // articles leave their old cluster first and are matched by their new text
+    try {
+      await duplicatesModel.removeFromClusters(
+        revisedArticles.map((article) => article.id)
+      );
+      clustered = await duplicatesModel.assignClusters(linkedArticles);
+    } catch (error) {
+      console.error(`Error saving checkpoint clusters: ${error.message}`);
+      deadLetterArticles(
+        checkpoint,
+        linkedArticles,
+        deadLettersModel.STAGES.CLUSTERS,
+        error
+      );
+    }
+  }
+
+  if (revisedArticles.length > 0) {
+    console.log("\n----- REVISED ARTICLES -----");
+    revisedArticles.forEach((article) => {
+      console.log(`- ${article.id} (${article.title})`);
+    });
+  }
+
+  if (skippedArticles.length > 0) {
+    console.log("\n----- SKIPPED ARTICLES (UNCHANGED IN DATABASE) -----");
+    skippedArticles.forEach((article) => {
+      console.log(`- ${article.id} (${article.title})`);
+    });
+  }
+
+  // Checkpoint the processed files once their articles are saved. Save errors
+  // end the run: the watermark must not move past files that were neither
+  // recorded as processed nor queued for a retry
+  if (Object.keys(checkpoint.newlyProcessedFiles).length > 0) {
+    await processedFilesModel.saveProcessedFiles(
+      checkpoint.newlyProcessedFiles,
+      checkpoint.processingResults,
+      checkpoint.pairDetails,
+      { reprocessed: options.reprocessed }
+    );
+  }
+
+  // Track broken links and extraction problems across runs, and queue
+  // failed groups for a retry (clearing the ones that succeeded)
+  let deadLettered = [];
+  if (saveToMongoDB) {
+    await issuesModel.recordGroupIssues(checkpoint.groupIssues);
+    await deadLettersModel.recordFailures(checkpoint.deadLetters);
+    deadLettered = checkpoint.deadLetters.map(
+      (failure) => `${failure.domain}/${failure.hash}`
+    );
+    await deadLettersModel.resolveEntries(checkpoint.succeededGroups);
+  }
+
+  // Keep only light summaries for the run report
+  const summarize = (article) => ({ id: article.id, title: article.title });
+  return {
+    newArticles: savedArticles.map(summarize),
+    revisedArticles: revisedArticles.map(summarize),
+    skippedArticles: skippedArticles.map(summarize),
+    clustered,
+    deadLettered,
+    mongoResult,
+  };
+}
+
+/**
+ * Check whether a group has files that changed since it was dead-lettered
+ * @param {Object} group - Hash group from the listing
+ * @param {Object} entry - Dead-letter entry of the group
+ * @returns {boolean} - Whether an HTML or metadata file is new or newer
+ */
+function hasChangedSinceDeadLettered(group, entry) {
+  const queuedFiles = {};
+  (entry.files || []).forEach((file) => {
+    queuedFiles[file.key] = new Date(file.lastModified).getTime();
+  });
+  return group.files.some(
+    (file) =>
+      fileManager.isHtmlOrMetadata(file.key) &&
+      !(queuedFiles[file.key] >= file.lastModified.getTime())
+  );
+}
+
 /**
  * Process and analyze HTML and metadata files
- * @param {Number} hours - Number of hours to look back for modified files
- * @param {Boolean} useAllPagination - Whether to use pagination for all files
+ * Resumes from the stored watermark when there is one, otherwise looks back
+ * the given number of hours
+ * @param {Number} hours - Number of hours to look back when no watermark is used
+ * @param {Boolean} fullRescan - Whether to ignore the watermark and rescan the lookback window
  * @param {Boolean} saveToMongoDB - Whether to save results to MongoDB
+ * @param {Object} [source] - Storage source to read from (defaults to the configured one)
  * @returns {Promise<Object>} - Processing results
  */
 async function processRecentFiles(
   hours = 1,
-  useAllPagination = false,
-  saveToMongoDB = true
+  fullRescan = false,
+  saveToMongoDB = true,
+  source = sources.getSource()
 ) {
+  let parserPool;
   try {
-    // Get list of already processed files from database
-    const processedFiles = await processedFilesModel.getProcessedFiles();
+    // Load the listing watermark for this source
+    const sourceId = source.id;
+    const watermark = saveToMongoDB
+      ? await watermarksModel.getWatermark(sourceId)
+      : null;
+
+    // Get files to consider, resuming from the watermark unless rescanning
+    let since;
+    if (watermark && !fullRescan) {
+      since = watermarkService.getListingCutoff(watermark);
+    } else {
+      since = new Date();
+      since.setHours(since.getHours() - hours);
+    }
+    const recentFiles = await source.list({
+      since,
+      incremental: !!watermark && !fullRescan,
+    });
     console.log(
-      `Loaded ${
-        Object.keys(processedFiles).length
-      } previously processed files from database`
+      `Found ${
+        recentFiles.length
+      } files modified since ${since.toISOString()} in ${sourceId}`
     );
-
-    // Get recent files from S3
-    const recentFiles = await s3Service.getRecentFiles(hours, useAllPagination);
     console.log(
       `Processing ${recentFiles.length} files for HTML and metadata...`
     );
@@ -84,184 +624,308 @@ async function processRecentFiles(
       });
     });
 
-    // Read HTML and metadata files, skipping previously processed ones
-    const htmlAndMetadata = await fileManager.readHtmlAndMetadata(
-      recentFiles,
-      processedFiles
+    // Domains seen before or in this listing, links to them are cross-domain
+    const crawledDomains = await getCrawledDomains(
+      Object.values(groupedByHash)
     );
-    const fileContents = htmlAndMetadata.results;
-    const newlyProcessedFiles = htmlAndMetadata.newlyProcessedFiles;
-    const processingResults = htmlAndMetadata.processingResults;
 
-    console.log(
-      `Retrieved ${fileContents.length} HTML/metadata files (after skipping previously processed files)`
+    // Processed state of the listed pairs only
+    const processedFiles = await processedFilesModel.getProcessedFiles(
+      Object.keys(groupedByHash)
     );
 
-    // Summarize processing results
-    const successCount = Object.values(processingResults).filter(
-      (r) => r.success
-    ).length;
-    const failureCount = Object.values(processingResults).filter(
-      (r) => !r.success
-    ).length;
-    const totalProcessingTime = Object.values(processingResults).reduce(
-      (sum, r) => sum + r.processingTimeMs,
-      0
-    );
-    const totalProcessedSize = Object.values(processingResults).reduce(
-      (sum, r) => sum + (r.fileSize || 0),
-      0
+    // Only groups with files that haven't been processed yet need work
+    const groupsToProcess = Object.values(groupedByHash).filter((group) =>
+      group.files.some(
+        (file) =>
+          fileManager.isHtmlOrMetadata(file.key) &&
+          !fileManager.isAlreadyProcessed(file, processedFiles)
+      )
     );
 
-    console.log("\n\n================ PROCESSING SUMMARY ================");
-    console.log(
-      `Total files processed: ${Object.keys(processingResults).length}`
+    // Re-check stored incomplete pairs whose missing file arrived outside
+    // this listing; the ones now complete are processed like any other group
+    const reconcileSince = new Date();
+    reconcileSince.setHours(
+      reconcileSince.getHours() - config.pipeline.reconcileMaxAgeHours
     );
-    console.log(`Successful: ${successCount}, Failed: ${failureCount}`);
-    console.log(`Total processing time: ${totalProcessingTime}ms`);
+    const incompletePairs = (
+      await processedFilesModel.getIncompletePairs({
+        since: reconcileSince,
+        dueBefore: new Date(),
+        limit: config.pipeline.reconcileLimit,
+      })
+    ).filter((pair) => !groupedByHash[pair.pair_id]);
+    const reconciledGroups = await fileManager.findCompletedPairs(
+      incompletePairs,
+      source
+    );
+    groupsToProcess.push(...reconciledGroups);
+    const reconciled = reconciledGroups.map(
+      (group) => `${group.domain}/${group.hash}`
+    );
+    Object.assign(
+      processedFiles,
+      await processedFilesModel.getProcessedFiles(reconciled)
+    );
+    if (saveToMongoDB) {
+      await processedFilesModel.scheduleReconcileChecks(
+        incompletePairs.filter((pair) => !reconciled.includes(pair.pair_id))
+      );
+    }
     console.log(
-      `Total data processed: ${(totalProcessedSize / 1024 / 1024).toFixed(2)}MB`
+      `\nRe-checked ${incompletePairs.length} incomplete pairs, ${reconciled.length} now have both files`
     );
 
-    if (failureCount > 0) {
-      console.log("\n----- PROCESSING FAILURES -----");
-      Object.entries(processingResults)
-        .filter(([_, result]) => !result.success)
-        .forEach(([key, result]) => {
-          console.log(`- ${key}: ${result.error}`);
-        });
+    // Dead-lettered groups are retried by the queue on its own schedule, the
+    // regular run only takes them back when one of their files changed
+    if (saveToMongoDB) {
+      const entries = await deadLettersModel.getEntries(
+        groupsToProcess.map((group) => `${group.domain}/${group.hash}`)
+      );
+      const waiting = groupsToProcess.filter((group) => {
+        const entry = entries[`${group.domain}/${group.hash}`];
+        return entry && !hasChangedSinceDeadLettered(group, entry);
+      });
+      waiting.forEach((group) => {
+        groupsToProcess.splice(groupsToProcess.indexOf(group), 1);
+      });
+      console.log(
+        `Left ${waiting.length} dead-lettered groups to the dead-letter queue`
+      );
     }
 
-    // Process each file content
-    const processedContent = {};
+    // Drain dead letters that are due for a retry; their files are read again
+    // even if they were recorded as processed
+    if (saveToMongoDB) {
+      const queued = new Set(
+        groupsToProcess.map((group) => `${group.domain}/${group.hash}`)
+      );
+      const { entries } = await deadLettersModel.queryEntries({
+        dueBefore: new Date(),
+        limit: config.deadLetters.retryLimit,
+      });
+      const retryGroups = entries
+        .filter((entry) => !queued.has(entry._id))
+        .map((entry) => ({
+          domain: entry.domain,
+          hash: entry.hash,
+          files: entry.files,
+          retry: true,
+        }));
+      groupsToProcess.push(...retryGroups);
+      console.log(`Retrying ${retryGroups.length} dead-lettered groups`);
+    }
+
+    // Run-wide counters; per-file data is dropped once each checkpoint is saved
+    const stats = {
+      groupsProcessed: 0,
+      filesProcessed: 0,
+      successCount: 0,
+      failureCount: 0,
+      retriedCount: 0,
+      skippedCount: 0,
+      totalProcessingTime: 0,
+      totalProcessedSize: 0,
+      articleCandidates: 0,
+    };
+    const failures = [];
+    const deadLettered = new Set();
+    const awaitingMetadata = [];
+    const deadLetterRetries = [];
     const invalidMetadataUrls = [];
     const failedReadabilityLinks = [];
+    const newArticles = [];
+    const revisedArticles = [];
+    const skippedArticles = [];
+    const clustered = [];
+    const mongoResult = {
+      upsertedCount: 0,
+      modifiedCount: 0,
+      matchedCount: 0,
+      merged: [],
+    };
 
-    // Create a progress bar for content processing
-    const progressBar = new cliProgress.MultiBar(
-      {
-        clearOnComplete: false,
-        hideCursor: true,
-        format: "{bar} {percentage}% | {title}",
-      },
-      cliProgress.Presets.shades_classic
-    );
+    // Pending checkpoint, flushed every config.pipeline.checkpointSize groups
+    let checkpoint = createCheckpoint();
+    let flushChain = Promise.resolve();
 
-    // Create two bars: one for HTML and one for metadata
-    const htmlBar = progressBar.create(
-      fileContents.filter((f) => f.type === "html").length,
-      0,
-      { title: colors.yellow("Processing HTML     ") }
-    );
-    const metadataBar = progressBar.create(
-      fileContents.filter((f) => f.type === "metadata").length,
-      0,
-      { title: colors.blue("Processing Metadata") }
-    );
+    const flush = () => {
+      const pending = checkpoint;
+      checkpoint = createCheckpoint();
+      flushChain = flushChain.then(async () => {
+        const saved = await saveCheckpoint(pending, saveToMongoDB);
+        newArticles.push(...saved.newArticles);
+        revisedArticles.push(...saved.revisedArticles);
+        skippedArticles.push(...saved.skippedArticles);
+        clustered.push(...saved.clustered);
+        saved.deadLettered.forEach((groupKey) => deadLettered.add(groupKey));
+        mongoResult.upsertedCount += saved.mongoResult.upsertedCount || 0;
+        mongoResult.modifiedCount += saved.mongoResult.modifiedCount || 0;
+        mongoResult.matchedCount += saved.mongoResult.matchedCount || 0;
+        mongoResult.merged.push(...(saved.mongoResult.merged || []));
+      });
+      return flushChain;
+    };
 
-    // Progress counters
-    let htmlProcessed = 0;
-    let metadataProcessed = 0;
+    // Parse pages on worker threads so a slow page can't block the run
+    parserPool = parserPoolService.createParserPool();
 
     console.log("\n\n================ CONTENT PROCESSING ================");
+    console.log(
+      `Processing ${groupsToProcess.length} groups (concurrency: ${config.downloads.concurrency}, parser workers: ${parserPool.size}, checkpoint every ${config.pipeline.checkpointSize} groups)`
+    );
 
-    for (const file of fileContents) {
-      // Extract the group key (domain/hash)
-      const keyParts = file.key.split("/");
-      const domain = keyParts[1];
-      const hash = keyParts[2];
-      const groupKey = `${domain}/${hash}`;
-
-      if (!processedContent[groupKey]) {
-        processedContent[groupKey] = {
-          domain,
-          hash,
-          metadata: null,
-          html: null,
-          parsed: null,
-        };
-      }
+    // Create a progress bar for group processing
+    const progressBar = new cliProgress.SingleBar({
+      format:
+        colors.yellow("Processing groups |") +
+        "{bar}" +
+        colors.yellow(
+          "| {percentage}% || {value}/{total} groups || ETA: {eta}s"
+        ),
+      barCompleteChar: "\u2588",
+      barIncompleteChar: "\u2591",
+      hideCursor: true,
+    });
+    if (groupsToProcess.length > 0) {
+      progressBar.start(groupsToProcess.length, 0);
+    }
 
-      if (file.type === "metadata") {
-        try {
-          processedContent[groupKey].metadata = JSON.parse(file.content);
+    // Stream groups: download, parse, build the article, then checkpoint
+    await concurrency.runWithConcurrency(
+      groupsToProcess,
+      config.downloads.concurrency,
+      async (group) => {
+        const outcome = await processGroup(
+          group,
+          group.retry ? {} : processedFiles,
+          source,
+          {
+            crawledDomains,
+            parserPool,
+          }
+        );
 
-          // Check for invalid metadata URL
-          if (!parser.hasValidUrl(processedContent[groupKey].metadata)) {
-            invalidMetadataUrls.push({
-              id: groupKey,
-              metadata: processedContent[groupKey].metadata,
+        // Fold per-file results into the run counters
+        Object.entries(outcome.processingResults).forEach(([key, result]) => {
+          stats.filesProcessed++;
+          stats.totalProcessingTime += result.processingTimeMs;
+          stats.totalProcessedSize += result.fileSize || 0;
+          if (result.attempts > 1) stats.retriedCount++;
+          if (result.success) {
+            stats.successCount++;
+          } else {
+            stats.failureCount++;
+            failures.push({
+              key,
+              groupKey: outcome.groupKey,
+              error: result.error,
+              attempts: result.attempts,
             });
           }
-        } catch (error) {
-          console.error(`Error parsing metadata JSON for ${groupKey}:`, error);
-          processedContent[groupKey].metadata = { error: "Invalid JSON" };
-
-          // Add to invalid metadata list
-          invalidMetadataUrls.push({
-            id: groupKey,
-            error: "Invalid JSON",
-          });
+        });
+        stats.skippedCount += outcome.skippedCount;
+        stats.groupsProcessed++;
+
+        if (outcome.awaitingMetadata) {
+          awaitingMetadata.push(outcome.groupKey);
+        }
+        if (outcome.invalidMetadata) {
+          invalidMetadataUrls.push(outcome.invalidMetadata);
+        }
+        if (outcome.failedReadability) {
+          failedReadabilityLinks.push(outcome.failedReadability);
         }
 
-        // Update metadata progress bar
-        metadataProcessed++;
-        metadataBar.update(metadataProcessed);
-      } else if (file.type === "html") {
-        processedContent[groupKey].html = file.content;
-
-        // Use Readability to parse HTML content
-        const url = processedContent[groupKey].metadata?.url || "";
-        const parsedArticle = parser.parseHtml(file.content, url);
-        processedContent[groupKey].parsed = parsedArticle;
-
-        // Check if Readability failed to extract meaningful content
-        if (
-          !parsedArticle ||
-          !parsedArticle.content ||
-          parsedArticle.textContent.trim().length < 100
-        ) {
-          failedReadabilityLinks.push({
-            id: groupKey,
-            url: url,
-            htmlLength: file.content.length,
-            parsedResult: parsedArticle
-              ? {
-                  title: parsedArticle.title,
-                  excerpt: parsedArticle.excerpt,
-                  contentLength: parsedArticle.textContent
-                    ? parsedArticle.textContent.trim().length
-                    : 0,
-                }
-              : null,
+        if (group.retry) {
+          deadLetterRetries.push({
+            groupKey: outcome.groupKey,
+            failure: outcome.failure,
           });
         }
 
-        // Update HTML progress bar
-        htmlProcessed++;
-        htmlBar.update(htmlProcessed);
+        // Add the group to the pending checkpoint
+        if (outcome.article) stats.articleCandidates++;
+        addToCheckpoint(checkpoint, group, outcome);
+
+        progressBar.update(stats.groupsProcessed);
+
+        // Waiting on the flush applies backpressure to the pool
+        if (checkpoint.groupCount >= config.pipeline.checkpointSize) {
+          await flush();
+        }
       }
+    );
+
+    // Save whatever is left in the last checkpoint
+    if (checkpoint.groupCount > 0) {
+      await flush();
+    } else {
+      await flushChain;
+    }
+
+    // Stop the progress bar
+    if (groupsToProcess.length > 0) {
+      progressBar.stop();
+    }
+
+    console.log(
+      `\nSkipped ${stats.skippedCount} previously processed files that haven't changed`
+    );
+
+    console.log("\n\n================ PROCESSING SUMMARY ================");
+    console.log(`Total groups processed: ${stats.groupsProcessed}`);
+    console.log(`Total files processed: ${stats.filesProcessed}`);
+    console.log(
+      `Successful: ${stats.successCount}, Failed: ${stats.failureCount}`
+    );
+    console.log(`Retried: ${stats.retriedCount}`);
+    console.log(`Total processing time: ${stats.totalProcessingTime}ms`);
+    console.log(
+      `Total data processed: ${(stats.totalProcessedSize / 1024 / 1024).toFixed(
+        2
+      )}MB`
+    );
+
+    if (failures.length > 0) {
+      console.log("\n----- PROCESSING FAILURES -----");
+      failures.forEach((failure) => {
+        console.log(
+          `- ${failure.key}: ${failure.error} (attempts: ${failure.attempts})`
+        );
+      });
     }
 
-    // Stop the progress bars
-    progressBar.stop();
+    // Print groups whose HTML is waiting for its metadata
+    console.log("\n\n================ AWAITING METADATA ================");
+    if (awaitingMetadata.length === 0) {
+      console.log("No groups awaiting metadata");
+    } else {
+      console.log(
+        `Found ${awaitingMetadata.length} groups with page.html but no metadata.json yet (extraction deferred):`
+      );
+      awaitingMetadata.forEach((groupKey) => {
+        console.log(`- ${groupKey}`);
+      });
+    }
 
-    // Print invalid metadata URLs
-    console.log("\n\n================ INVALID METADATA URLS ================");
+    // Print metadata that failed schema validation
+    console.log("\n\n================ INVALID METADATA ================");
     if (invalidMetadataUrls.length === 0) {
-      console.log("No invalid metadata URLs found");
+      console.log("No invalid metadata found");
     } else {
-      console.log(`Found ${invalidMetadataUrls.length} invalid metadata URLs:`);
+      console.log(
+        `Found ${invalidMetadataUrls.length} invalid metadata files:`
+      );
       invalidMetadataUrls.forEach((item) => {
         console.log(`\n--- ${item.id} ---`);
-        if (item.error) {
-          console.log(`Error: ${item.error}`);
-        } else if (item.metadata) {
+        item.violations.forEach((entry) => {
+          console.log(`[${entry.code}] ${entry.message}`);
+        });
+        if (item.metadata && !item.metadata.error) {
           console.log(`URL: ${item.metadata.url || "undefined"}`);
           console.log(`crawl_time: ${item.metadata.crawl_time || "undefined"}`);
-          console.log(
-            `All metadata: ${JSON.stringify(item.metadata, null, 2)}`
-          );
         }
       });
     }
@@ -279,8 +943,15 @@ async function processRecentFiles(
       failedReadabilityLinks.forEach((item) => {
         console.log(`\n--- ${item.id} ---`);
         console.log(`URL: ${item.url || "undefined"}`);
+        console.log(`Page type: ${item.pageType || "unknown"}`);
+        console.log(`Language: ${item.language || "unknown"}`);
         console.log(`HTML Size: ${item.htmlLength} bytes`);
-        if (item.parsedResult) {
+        if (item.parseError) {
+          console.log(`Parse error: ${item.parseError}`);
+        } else if (item.parsedResult) {
+          console.log(
+            `Method: ${item.parsedResult.extractionMethod} (score: ${item.parsedResult.extractionScore})`
+          );
           console.log(`Title: ${item.parsedResult.title || "undefined"}`);
           console.log(`Excerpt: ${item.parsedResult.excerpt || "undefined"}`);
           console.log(
@@ -292,68 +963,69 @@ async function processRecentFiles(
       });
     }
 
-    // Create article objects from processed content
-    const articleCandidates = [];
-
-    Object.keys(processedContent).forEach((groupKey) => {
-      const content = processedContent[groupKey];
-      const article = fileProcessor.createArticleObject(content);
-
-      if (article) {
-        articleCandidates.push(article);
-      }
-    });
-
-    // Check which articles already exist in the database
-    const articleIds = articleCandidates.map((article) => article.id);
-    const existingArticles = saveToMongoDB
-      ? await articlesModel.checkExistingArticles(articleIds)
-      : {};
-
-    // Filter out articles that already exist in the database
-    const newArticles = articleCandidates.filter(
-      (article) => !existingArticles[article.id]
-    );
-    const skippedArticles = articleCandidates.filter(
-      (article) => existingArticles[article.id]
-    );
-
-    // Display article objects
+    // Display article summary
     console.log("\n\n================ VALID ARTICLES ================");
     console.log(
-      `Found ${articleCandidates.length} valid articles with metadata and content`
+      `Found ${stats.articleCandidates} valid articles with metadata and content`
     );
+    console.log(`- ${newArticles.length} new articles added to the database`);
     console.log(
-      `- ${newArticles.length} new articles to be added to the database`
+      `- ${revisedArticles.length} stored articles changed and were revised`
     );
     console.log(
-      `- ${skippedArticles.length} articles already exist in the database`
+      `- ${skippedArticles.length} articles already exist in the database unchanged`
     );
 
-    if (newArticles.length > 0) {
-      console.log("\n----- NEW ARTICLES -----");
-      newArticles.forEach((article) => {
-        console.log(`\n--- Article object for ${article.id} ---`);
-        console.log(JSON.stringify(article, null, 2));
-        console.log("=".repeat(80));
+    if (saveToMongoDB) {
+      console.log("\n\n================ MONGODB UPDATE ================");
+      console.log(
+        `Inserted: ${mongoResult.upsertedCount}, Updated: ${mongoResult.modifiedCount}, Matched: ${mongoResult.matchedCount}`
+      );
+    }
+
+    // Print copies of stories that were merged by canonical URL
+    if (mongoResult.merged.length > 0) {
+      console.log("\n\n================ MERGED DUPLICATES ================");
+      mongoResult.merged.forEach((duplicate) => {
+        console.log(`- ${duplicate.id} -> ${duplicate.into}`);
       });
     }
 
-    if (skippedArticles.length > 0) {
-      console.log("\n----- SKIPPED ARTICLES (ALREADY IN DATABASE) -----");
-      skippedArticles.forEach((article) => {
-        console.log(`- ${article.id} (${article.title})`);
+    // Print articles that joined a duplicate cluster
+    if (clustered.length > 0) {
+      console.log("\n\n================ DUPLICATE CONTENT ================");
+      clustered.forEach((entry) => {
+        console.log(
+          `- ${entry.id} -> cluster ${entry.clusterId} (${
+            entry.matchType
+          }, similarity ${entry.similarity.toFixed(2)})`
+        );
+        if (entry.mergedClusterIds.length > 0) {
+          console.log(
+            `  merged clusters: ${entry.mergedClusterIds.join(", ")}`
+          );
+        }
       });
     }
 
-    // Save articles to MongoDB if requested
-    let mongoResult = null;
-    if (saveToMongoDB && newArticles.length > 0) {
-      console.log("\n\n================ SAVING TO MONGODB ================");
-      mongoResult = await articlesModel.saveArticles(newArticles);
-    } else if (saveToMongoDB) {
-      console.log("\n\n================ MONGODB UPDATE ================");
-      console.log("No new articles to save to MongoDB");
+    // Print dead-lettered groups retried in this run
+    if (deadLetterRetries.length > 0) {
+      console.log("\n\n================ DEAD LETTER RETRIES ================");
+      deadLetterRetries.forEach((retry) => {
+        console.log(
+          retry.failure
+            ? `- ${retry.groupKey}: failed again at ${retry.failure.stage} (${retry.failure.error})`
+            : `- ${retry.groupKey}: recovered`
+        );
+      });
+    }
+
+    // Print pairs completed by a file that arrived after the first half
+    if (reconciled.length > 0) {
+      console.log("\n\n================ RECONCILED PAIRS ================");
+      reconciled.forEach((groupKey) => {
+        console.log(`- ${groupKey}`);
+      });
     }
 
     // Print summary of broken links
@@ -364,33 +1036,278 @@ async function processRecentFiles(
       });
     }
 
-    // Save the newly processed files to database
-    if (Object.keys(newlyProcessedFiles).length > 0) {
-      await processedFilesModel.saveProcessedFiles(
-        newlyProcessedFiles,
-        processingResults
+    // Advance the watermark past everything handled in this run
+    let nextWatermark = watermark;
+    if (saveToMongoDB) {
+      // Dead-lettered files are retried by the queue, they don't hold it back
+      const failedKeys = failures
+        .filter((failure) => !deadLettered.has(failure.groupKey))
+        .map((failure) => failure.key);
+      nextWatermark = watermarkService.advanceWatermark(
+        watermark,
+        recentFiles,
+        failedKeys
       );
+
+      if (
+        nextWatermark &&
+        (!watermark ||
+          watermarkService.comparePositions(nextWatermark, watermark) !== 0)
+      ) {
+        await watermarksModel.saveWatermark(sourceId, nextWatermark);
+      }
+
+      // Change feeds drop what this run handled, failed files come back
+      if (source.commitListing) {
+        await source.commitListing(failedKeys);
+      }
     }
 
     return {
       recentFiles,
-      fileContents,
       groupedByHash,
       brokenLinks,
       completeLinks,
-      processedContent,
+      stats,
+      awaitingMetadata,
+      reconciled,
+      deadLetterRetries,
       articles: newArticles,
+      revisedArticles,
       skippedArticles,
+      clustered,
       invalidMetadataUrls,
       failedReadabilityLinks,
       mongoResult,
+      watermark: nextWatermark,
     };
   } catch (error) {
     console.error("Error processing recent files:", error);
     throw error;
+  } finally {
+    if (parserPool) {
+      await parserPool.close();
+    }
+  }
+}
+
+/**
+ * Re-run extraction for stored processed pairs
+ * Both files are fetched again from the source and parsed with the current
+ * extractors. The title and content length of each pair are compared with
+ * the stored article; articles are only updated when apply is set.
+ * @param {Object} filter - Pairs to reprocess
+ * @param {string} [filter.domain] - Domain
+ * @param {string} [filter.status] - Pair status
+ * @param {string} [filter.from] - Only pairs processed at or after this date
+ * @param {string} [filter.to] - Only pairs processed at or before this date
+ * @param {Array<string>} [filter.ids] - Explicit pair ids (domain/hash)
+ * @param {number} [filter.limit] - Maximum number of pairs
+ * @param {Object} [options] - Reprocessing options
+ * @param {Boolean} [options.apply] - Whether to save the new extraction
+ * @param {Object} [options.source] - Storage source to read from (defaults to the configured one)
+ * @returns {Promise<Object>} - Per-pair changes and the save result
+ */
+async function reprocessPairs(filter = {}, options = {}) {
+  const source = options.source || sources.getSource();
+  let parserPool;
+  try {
+    const query = { limit: filter.limit || 100 };
+    if (filter.domain) query.domain = filter.domain;
+    if (filter.status) query.status = filter.status;
+    if (filter.from) query.processedAfter = filter.from;
+    if (filter.to) query.processedBefore = filter.to;
+    if (filter.ids && filter.ids.length > 0) query.pair_ids = filter.ids;
+
+    const { pairs } = await processedFilesModel.queryProcessedFiles(query);
+    const groups = pairs
+      .map((pair) => fileManager.groupFromPair(pair))
+      .filter((group) => group.files.length > 0);
+    if (groups.length === 0) {
+      console.log("No processed pairs to reprocess");
+      return { changes: [], mongoResult: null };
+    }
+
+    const crawledDomains = await getCrawledDomains(groups);
+    const storedArticles = await articlesModel.getArticleSummaries(
+      groups.map((group) => `${group.domain}/${group.hash}`)
+    );
+
+    parserPool = parserPoolService.createParserPool();
+
+    console.log("\n\n================ REPROCESSING ================");
+    console.log(
+      `Reprocessing ${groups.length} pairs from ${source.id} (parser workers: ${parserPool.size})`
+    );
+
+    // Every file is read again, nothing counts as already processed
+    const checkpoint = createCheckpoint();
+    const changes = [];
+    await concurrency.runWithConcurrency(
+      groups,
+      config.downloads.concurrency,
+      async (group) => {
+        const outcome = await processGroup(group, {}, source, {
+          crawledDomains,
+          parserPool,
+        });
+
+        const before = storedArticles[outcome.groupKey] || null;
+        const after = outcome.article;
+        changes.push({
+          id: outcome.groupKey,
+          before: before && {
+            title: before.title,
+            contentLength: before.contentLength,
+            extractionMethod: before.extractionMethod,
+          },
+          after: after && {
+            title: after.title,
+            contentLength: after.contentLength,
+            extractionMethod: after.extractionMethod,
+          },
+          failed: !!outcome.failedReadability,
+        });
+
+        addToCheckpoint(checkpoint, group, outcome);
+      }
+    );
+
+    // Print the before/after comparison
+    console.log("\n\n================ EXTRACTION CHANGES ================");
+    changes.sort((a, b) => a.id.localeCompare(b.id));
+    changes.forEach((change) => {
+      const { before, after } = change;
+      const titleChanged = before && after && before.title !== after.title;
+      const lengthDelta =
+        before && after ? after.contentLength - before.contentLength : null;
+
+      console.log(`\n--- ${change.id} ---`);
+      if (!before) {
+        console.log("Before: not stored");
+      } else {
+        console.log(
+          `Before: "${before.title}" (${before.contentLength} characters, ${before.extractionMethod})`
+        );
+      }
+      if (!after) {
+        console.log(
+          `After: no article${change.failed ? " (extraction failed)" : ""}`
+        );
+      } else {
+        console.log(
+          `After: "${after.title}" (${after.contentLength} characters, ${after.extractionMethod})`
+        );
+      }
+      if (before && after) {
+        console.log(
+          `Title ${titleChanged ? "changed" : "unchanged"}, content length ${
+            lengthDelta >= 0 ? "+" : ""
+          }${lengthDelta}`
+        );
+      }
+    });
+
+    if (!options.apply) {
+      console.log(
+        "\nDry run, nothing saved. Run again with --apply to update the articles."
+      );
+      return { changes, mongoResult: null };
+    }
+
+    const saved = await saveCheckpoint(checkpoint, true, {
+      overwrite: true,
+      reprocessed: true,
+    });
+    console.log("\n\n================ MONGODB UPDATE ================");
+    console.log(
+      `Inserted: ${saved.newArticles.length}, Updated: ${saved.revisedArticles.length}, Merged duplicates: ${saved.mongoResult.merged.length}`
+    );
+
+    return { changes, mongoResult: saved.mongoResult };
+  } catch (error) {
+    console.error("Error reprocessing pairs:", error);
+    throw error;
+  } finally {
+    if (parserPool) {
+      await parserPool.close();
+    }
+  }
+}
+
+/**
+ * Retry dead-lettered groups now, whether they are due or out of retries
+ * @param {Object} query - Entries to retry, as for deadLetters.queryEntries
+ * @param {Object} [options] - Retry options
+ * @param {Object} [options.source] - Storage source to read from (defaults to the configured one)
+ * @returns {Promise<Object>} - Per-group results
+ */
+async function retryDeadLetters(query = {}, options = {}) {
+  const source = options.source || sources.getSource();
+  let parserPool;
+  try {
+    const { entries } = await deadLettersModel.queryEntries(query);
+    if (entries.length === 0) {
+      console.log("No dead letters to retry");
+      return { results: [] };
+    }
+
+    // Tagged like the retries drained by a run, so groups that failed at the
+    // links stage get their links written again
+    const groups = entries.map((entry) => ({
+      domain: entry.domain,
+      hash: entry.hash,
+      files: entry.files,
+      retry: true,
+    }));
+    const crawledDomains = await getCrawledDomains(groups);
+
+    parserPool = parserPoolService.createParserPool();
+
+    console.log("\n\n================ DEAD LETTER RETRIES ================");
+    console.log(`Retrying ${groups.length} dead-lettered groups`);
+
+    const checkpoint = createCheckpoint();
+    await concurrency.runWithConcurrency(
+      groups,
+      config.downloads.concurrency,
+      async (group) => {
+        const outcome = await processGroup(group, {}, source, {
+          crawledDomains,
+          parserPool,
+        });
+        addToCheckpoint(checkpoint, group, outcome);
+      }
+    );
+    await saveCheckpoint(checkpoint, true);
+
+    // Save failures are only known once the checkpoint is saved
+    const results = groups.map((group) => {
+      const groupKey = `${group.domain}/${group.hash}`;
+      const failure = checkpoint.deadLetters.find(
+        (entry) => `${entry.domain}/${entry.hash}` === groupKey
+      );
+      console.log(
+        failure
+          ? `- ${groupKey}: failed again at ${failure.stage} (${failure.error})`
+          : `- ${groupKey}: recovered`
+      );
+      return { groupKey, failure: failure || null };
+    });
+
+    return { results };
+  } catch (error) {
+    console.error("Error retrying dead letters:", error);
+    throw error;
+  } finally {
+    if (parserPool) {
+      await parserPool.close();
+    }
   }
 }
 
 module.exports = {
   processRecentFiles,
+  reprocessPairs,
+  retryDeadLetters,
 };
@@ -0,0 +1,113 @@
+const config = require("../config");
+
+// Pair ids listed in the plan and the result, the counts cover all of them
+const MAX_LISTED_PAIRS = 20;
+
+/**
+ * Find processed file pairs stored more than once
+ * Pairs are upserted on pair_id, but concurrent runs could insert copies
+ * before the unique index existed. The most recently processed copy is kept.
+ * @param {Collection} collection - Processed files collection
+ * @returns {Promise<Array>} - { pairId, keptId, staleIds } per duplicated pair
+ */
+async function findDuplicatePairs(collection) {
+  const duplicates = await collection
+    .aggregate(
+      [
+        { $sort: { processedAt: -1 } },
+        {
+          $group: {
+            _id: "$pair_id",
+            ids: { $push: "$_id" },
+            count: { $sum: 1 },
+          },
+        },
+        { $match: { count: { $gt: 1 } } },
+      ],
+      { allowDiskUse: true }
+    )
+    .toArray();
+
+  return duplicates.map((duplicate) => ({
+    pairId: duplicate._id,
+    keptId: duplicate.ids[0],
+    staleIds: duplicate.ids.slice(1),
+  }));
+}
+
+/**
+ * Summarize the duplicated pairs
+ * @param {Array} duplicates - Result of findDuplicatePairs
+ * @returns {Object} - Number of pairs and stale documents, first pair ids
+ */
+function summarize(duplicates) {
+  return {
+    duplicatedPairs: duplicates.length,
+    staleDocuments: duplicates.reduce(
+      (count, duplicate) => count + duplicate.staleIds.length,
+      0
+    ),
+    pairIds: duplicates
+      .slice(0, MAX_LISTED_PAIRS)
+      .map((duplicate) => duplicate.pairId),
+  };
+}
+
+/**
+ * Report the processed file documents the migration would delete
+ * @param {Object} db - Database service
+ * @returns {Promise<Object>} - Number of duplicated pairs and documents to delete (changes)
+ */
+async function plan(db) {
+  const collection = await db.getCollection(
+    config.mongodb.collections.processedFiles
+  );
+
+  const summary = summarize(await findDuplicatePairs(collection));
+  return { changes: summary.staleDocuments, ...summary };
+}
+
+/**
+ * Delete the older copies of processed file pairs stored more than once,
+ * so the unique pair_id index of the next migration can be created
+ * @param {Object} db - Database service
+ * @returns {Promise<Object>} - Number of duplicated pairs and deleted documents
+ */
+async function up(db) {
+  const collection = await db.getCollection(
+    config.mongodb.collections.processedFiles
+  );
+
+  const duplicates = await findDuplicatePairs(collection);
+  const summary = summarize(duplicates);
+  const staleIds = duplicates.flatMap((duplicate) => duplicate.staleIds);
+  let deletedCount = 0;
+  if (staleIds.length > 0) {
+    console.log(
+      `Deleting ${summary.staleDocuments} older copies of ${summary.duplicatedPairs} processed file pairs`
+    );
+    summary.pairIds.forEach((pairId) => console.log(`- ${pairId}`));
+    if (summary.duplicatedPairs > summary.pairIds.length) {
+      console.log(
+        `... and ${summary.duplicatedPairs - summary.pairIds.length} more`
+      );
+    }
+    const result = await collection.deleteMany({ _id: { $in: staleIds } });
+    deletedCount = result.deletedCount;
+  }
+
+  return {
+    duplicatedPairs: summary.duplicatedPairs,
+    deletedDocuments: deletedCount,
+    pairIds: summary.pairIds,
+  };
+}
+
+module.exports = {
+  version: 1,
+  description:
+    "Remove duplicate processed file pairs (deletes all but the latest copy)",
+  destructive: true,
+  plan,
+  up,
+};
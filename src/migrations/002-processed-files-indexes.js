@@ -0,0 +1,30 @@
+const config = require("../config");
+
+/**
+ * Index the processed files collection
+ * The unique pair_id index relies on migration 1 having deleted the copies of
+ * pairs stored more than once.
+ * @param {Object} db - Database service
+ * @returns {Promise<Object>} - Created indexes
+ */
+async function up(db) {
+  const collection = await db.getCollection(
+    config.mongodb.collections.processedFiles
+  );
+
+  const indexes = await collection.createIndexes([
+    { key: { pair_id: 1 }, unique: true },
+    { key: { domain: 1, status: 1 } },
+    { key: { processedAt: -1 } },
+    { key: { status: 1, processedAt: -1 } },
+  ]);
+
+  return { indexes };
+}
+
+module.exports = {
+  version: 2,
+  description:
+    "Index processed files (unique pair_id, domain+status, processedAt)",
+  up,
+};
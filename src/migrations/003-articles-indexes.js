@@ -0,0 +1,31 @@
+const config = require("../config");
+
+/**
+ * Index the articles collection for crawl date and URL lookups, canonical
+ * merging and duplicate detection
+ * @param {Object} db - Database service
+ * @returns {Promise<Object>} - Created indexes
+ */
+async function up(db) {
+  const collection = await db.getCollection(
+    config.mongodb.collections.articles
+  );
+
+  const indexes = await collection.createIndexes([
+    { key: { crawl_datetime: -1 } },
+    { key: { url: 1 } },
+    { key: { domain: 1, crawl_datetime: -1 } },
+    { key: { canonicalKey: 1 } },
+    { key: { duplicateIds: 1 } },
+    { key: { textHash: 1 } },
+    { key: { minhashBands: 1 } },
+  ]);
+
+  return { indexes };
+}
+
+module.exports = {
+  version: 3,
+  description: "Index articles (crawl_datetime, url, canonicalKey, duplicates)",
+  up,
+};
@@ -0,0 +1,46 @@
+const config = require("../config");
+
+/**
+ * Index the links, issues, dead letter, revision and duplicate cluster
+ * collections for the lookups their models run
+ * @param {Object} db - Database service
+ * @returns {Promise<Object>} - Created indexes per collection
+ */
+async function up(db) {
+  const { collections } = config.mongodb;
+  const specs = {
+    [collections.links]: [
+      { key: { source: 1 } },
+      { key: { url: 1 } },
+      { key: { targetKey: 1 } },
+    ],
+    [collections.issues]: [
+      { key: { groupKey: 1, resolved: 1 } },
+      { key: { resolved: 1, lastSeenAt: -1 } },
+      { key: { type: 1, domain: 1 } },
+    ],
+    [collections.deadLetters]: [
+      { key: { status: 1, nextRetryAt: 1 } },
+      { key: { domain: 1 } },
+    ],
+    [collections.revisions]: [{ key: { articleId: 1, revision: -1 } }],
+    [collections.duplicateClusters]: [
+      { key: { "members.domain": 1 } },
+      { key: { updatedAt: -1 } },
+    ],
+  };
+
+  const indexes = {};
+  for (const [name, spec] of Object.entries(specs)) {
+    const collection = await db.getCollection(name);
+    indexes[name] = await collection.createIndexes(spec);
+  }
+
+  return { indexes };
+}
+
+module.exports = {
+  version: 4,
+  description: "Index links, issues, dead letters, revisions and clusters",
+  up,
+};
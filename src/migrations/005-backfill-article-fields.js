@@ -0,0 +1,87 @@
+const config = require("../config");
+const articleDiff = require("../services/articleDiff");
+const fingerprint = require("../services/fingerprint");
+
+// Articles updated per bulk write
+const BATCH_SIZE = 500;
+
+/**
+ * Fill in fields added after articles were first stored: the content hash
+ * and revision number used for revisions, and the text hash and MinHash
+ * signature used for duplicate detection. Fields that are already set are
+ * kept. Backfilled articles aren't clustered until they are saved again.
+ * @param {Object} db - Database service
+ * @returns {Promise<Object>} - Number of scanned and updated articles
+ */
+async function up(db) {
+  const collection = await db.getCollection(
+    config.mongodb.collections.articles
+  );
+
+  const cursor = collection
+    .find({
+      $or: [
+        { contentHash: { $exists: false } },
+        { revision: { $exists: false } },
+        { textHash: { $exists: false } },
+      ],
+    })
+    .project({
+      ...Object.fromEntries(
+        articleDiff.REVISION_FIELDS.map((field) => [field, 1])
+      ),
+      contentHash: 1,
+      revision: 1,
+      textHash: 1,
+      pageType: 1,
+    });
+
+  let scanned = 0;
+  let updated = 0;
+  let bulkOps = [];
+  const flush = async () => {
+    if (bulkOps.length === 0) return;
+    const result = await collection.bulkWrite(bulkOps, { ordered: false });
+    updated += result.modifiedCount;
+    bulkOps = [];
+  };
+
+  for await (const article of cursor) {
+    scanned++;
+    const fields = {};
+
+    if (!article.contentHash) {
+      fields.contentHash = articleDiff.computeContentHash(article);
+    }
+    if (!article.revision) {
+      fields.revision = 1;
+    }
+    if (article.textHash === undefined) {
+      Object.assign(
+        fields,
+        fingerprint.computeFingerprints(
+          article.content,
+          article.pageType || null,
+          config.duplicates.minWords
+        )
+      );
+    }
+
+    bulkOps.push({
+      updateOne: { filter: { _id: article._id }, update: { $set: fields } },
+    });
+    if (bulkOps.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+  await flush();
+
+  return { scanned, updated };
+}
+
+module.exports = {
+  version: 5,
+  description:
+    "Backfill contentHash, revision, textHash and MinHash on articles",
+  up,
+};
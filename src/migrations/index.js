@@ -0,0 +1,22 @@
+/**
+ * Migrations, in the order they are applied
+ * Each one exports:
+ * - version: increasing integer recorded once the migration has run
+ * - description: one line shown by the migrate command
+ * - up(db): applies the migration through the database service, may return a result summary
+ * - plan(db) (optional): reports what up would change, shown by a dry run;
+ *   data migrations that delete or rewrite documents should provide one
+ * - destructive (optional): up deletes documents, so it only runs with
+ *   "migrate up --apply"; its plan must report the number of documents up
+ *   would delete as changes, a plan without changes lets it run anyway
+ * Migrations must be safe to re-run in case one fails halfway.
+ */
+const migrations = [
+  require("./001-remove-duplicate-processed-files"),
+  require("./002-processed-files-indexes"),
+  require("./003-articles-indexes"),
+  require("./004-collection-indexes"),
+  require("./005-backfill-article-fields"),
+];
+
+module.exports = migrations;
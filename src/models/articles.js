@@ -6,14 +6,13 @@ const colors = require("colors");
 /**
  * Check if articles already exist in MongoDB
  * @param {Array} articleIds - Array of article IDs to check
- * @returns {Promise<Object>} - Object with article IDs as keys and boolean values
+ * @returns {Promise<Object>} - Object with article IDs as keys: true when stored, the canonical article id when merged into one, false otherwise
  */
 async function checkExistingArticles(articleIds) {
   if (!articleIds || articleIds.length === 0) {
     return {};
   }
 
-  let client;
   try {
     // Create a progress bar
     const progressBar = new cliProgress.SingleBar({
@@ -26,10 +25,7 @@ async function checkExistingArticles(articleIds) {
       hideCursor: true,
     });
 
-    // Connect to MongoDB
-    const connection = await db.connect();
-    client = connection.client;
-    const collection = connection.collection;
+    const collection = await db.getCollection();
 
     console.log(
       `Checking ${articleIds.length} articles for existing entries...`
@@ -38,10 +34,15 @@ async function checkExistingArticles(articleIds) {
     // Start the progress bar
     progressBar.start(articleIds.length, 0);
 
-    // Query for existing articles
+    // Query for existing articles, including copies merged into another one
     const existingArticles = await collection
-      .find({ _id: { $in: articleIds } })
-      .project({ _id: 1 })
+      .find({
+        $or: [
+          { _id: { $in: articleIds } },
+          { duplicateIds: { $in: articleIds } },
+        ],
+      })
+      .project({ _id: 1, duplicateIds: 1 })
       .toArray();
 
     // Create a map of article IDs to existence status
@@ -54,6 +55,14 @@ async function checkExistingArticles(articleIds) {
       progressBar.update(count);
     });
 
+    // Copies merged into a stored article map to that article's id
+    existingArticles.forEach((article) => {
+      (article.duplicateIds || []).forEach((duplicateId) => {
+        if (duplicateId in existingMap && existingMap[duplicateId] !== true) {
+          existingMap[duplicateId] = article._id;
+        }
+      });
+    });
     existingArticles.forEach((article) => {
       existingMap[article._id] = true;
     });
@@ -68,28 +77,74 @@ async function checkExistingArticles(articleIds) {
   } catch (error) {
     console.error("Error checking for existing articles:", error);
     return {};
-  } finally {
-    // Close the MongoDB connection
-    if (client) {
-      await client.close();
-      console.log("MongoDB connection closed");
-    }
+  }
+}
+
+/**
+ * Get the stored version of articles, including copies merged into another one
+ * @param {Array} articleIds - Array of article IDs
+ * @returns {Promise<Object>} - Map of article IDs to { id, title, contentLength, extractionMethod }
+ */
+async function getArticleSummaries(articleIds) {
+  if (!articleIds || articleIds.length === 0) {
+    return {};
+  }
+
+  try {
+    const collection = await db.getCollection();
+
+    const storedArticles = await collection
+      .find({
+        $or: [
+          { _id: { $in: articleIds } },
+          { duplicateIds: { $in: articleIds } },
+        ],
+      })
+      .project({
+        _id: 1,
+        title: 1,
+        contentLength: 1,
+        extractionMethod: 1,
+        duplicateIds: 1,
+      })
+      .toArray();
+
+    const summaries = {};
+    storedArticles.forEach((article) => {
+      const summary = {
+        id: article._id,
+        title: article.title,
+        contentLength: article.contentLength || 0,
+        extractionMethod: article.extractionMethod,
+      };
+      [article._id, ...(article.duplicateIds || [])]
+        .filter((id) => articleIds.includes(id))
+        .forEach((id) => {
+          summaries[id] = summary;
+        });
+    });
+
+    return summaries;
+  } catch (error) {
+    console.error("Error getting articles from MongoDB:", error);
+    return {};
   }
 }
 
 /**
  * Save articles to MongoDB
+ * An article whose canonical URL is already stored (or appears earlier in the
+ * batch) under another id is merged into that article: its id is added to
+ * `duplicateIds` and its URLs to `urlVariants` instead of inserting a copy
  * @param {Array} articles - Array of article objects
- * @returns {Promise<Object>} - Result of the insert operation
+ * @returns {Promise<Object>} - Result of the insert operation and the merged duplicates
  */
 async function saveArticles(articles) {
   if (!articles || articles.length === 0) {
     console.log("No articles to save");
-    return { upsertedCount: 0, modifiedCount: 0, matchedCount: 0 };
+    return { upsertedCount: 0, modifiedCount: 0, matchedCount: 0, merged: [] };
   }
 
-  let client;
-
   try {
     // Create a progress bar
     const progressBar = new cliProgress.SingleBar({
@@ -102,10 +157,7 @@ async function saveArticles(articles) {
       hideCursor: true,
     });
 
-    // Connect to MongoDB
-    const connection = await db.connect();
-    client = connection.client;
-    const collection = connection.collection;
+    const collection = await db.getCollection();
 
     // Set unique ID field for each article
     const articlesWithId = articles.map((article) => ({
@@ -120,11 +172,47 @@ async function saveArticles(articles) {
     // Start the progress bar
     progressBar.start(articles.length, 0);
 
+    // Find stored articles with the same canonical URL
+    const canonicalKeys = [
+      ...new Set(articles.map((article) => article.canonicalKey)),
+    ].filter(Boolean);
+    const canonicalIds = {};
+    if (canonicalKeys.length > 0) {
+      const storedArticles = await collection
+        .find({ canonicalKey: { $in: canonicalKeys } })
+        .project({ _id: 1, canonicalKey: 1 })
+        .toArray();
+      storedArticles.forEach((article) => {
+        canonicalIds[article.canonicalKey] = article._id;
+      });
+    }
+
     // Insert articles with upsert (update if exists, insert if not)
+    const merged = [];
     const bulkOps = articlesWithId.map((article, index) => {
       // Update progress bar
       progressBar.update(index + 1);
 
+      // Merge copies of an already known story into the first one
+      const canonicalId = canonicalIds[article.canonicalKey];
+      if (canonicalId && canonicalId !== article._id) {
+        merged.push({ id: article.id, into: canonicalId });
+        return {
+          updateOne: {
+            filter: { _id: canonicalId },
+            update: {
+              $addToSet: {
+                duplicateIds: article.id,
+                urlVariants: { $each: article.urlVariants || [] },
+              },
+            },
+          },
+        };
+      }
+      if (article.canonicalKey) {
+        canonicalIds[article.canonicalKey] = article._id;
+      }
+
       return {
         updateOne: {
           filter: { _id: article._id },
@@ -135,15 +223,26 @@ async function saveArticles(articles) {
     });
 
     // Execute bulk operation if there are articles
-    let result = { upsertedCount: 0, modifiedCount: 0, matchedCount: 0 };
+    let result = {
+      upsertedCount: 0,
+      modifiedCount: 0,
+      matchedCount: 0,
+      merged,
+    };
     if (bulkOps.length > 0) {
-      result = await collection.bulkWrite(bulkOps);
+      const writeResult = await collection.bulkWrite(bulkOps);
+      result = {
+        upsertedCount: writeResult.upsertedCount,
+        modifiedCount: writeResult.modifiedCount,
+        matchedCount: writeResult.matchedCount,
+        merged,
+      };
       // Stop the progress bar
       progressBar.stop();
 
       console.log("MongoDB operation completed successfully");
       console.log(
-        `Inserted: ${result.upsertedCount}, Updated: ${result.modifiedCount}, Matched: ${result.matchedCount}`
+        `Inserted: ${result.upsertedCount}, Updated: ${result.modifiedCount}, Matched: ${result.matchedCount}, Merged duplicates: ${merged.length}`
       );
     } else {
       // Stop the progress bar
@@ -155,16 +254,11 @@ async function saveArticles(articles) {
   } catch (error) {
     console.error("Error saving articles to MongoDB:", error);
     throw error;
-  } finally {
-    // Close the MongoDB connection
-    if (client) {
-      await client.close();
-      console.log("MongoDB connection closed");
-    }
   }
 }
 
 module.exports = {
   checkExistingArticles,
+  getArticleSummaries,
   saveArticles,
 };
@@ -0,0 +1,226 @@
+const db = require("../services/database");
+const config = require("../config");
+
+// Pipeline stages a group can fail in
+const STAGES = {
+  DOWNLOAD: "download",
+  PARSE: "parse",
+  SAVE: "save",
+  LINKS: "links",
+  CLUSTERS: "clusters",
+};
+
+/**
+ * Delay before the next scheduled retry: exponential backoff, capped
+ * @param {number} attempts - Number of failed attempts so far (1-based)
+ * @returns {number} - Delay in milliseconds
+ */
+function getRetryDelay(attempts) {
+  const { baseDelayMs, maxDelayMs } = config.deadLetters;
+  return Math.min(maxDelayMs, baseDelayMs * 2 ** (attempts - 1));
+}
+
+/**
+ * Record failed groups in the dead-letter queue
+ * Each group has one entry: a new failure bumps its attempt count and
+ * schedules the next retry. Entries that used up config.deadLetters.maxAttempts,
+ * or whose failure isn't retryable, are marked exhausted and only retried on
+ * request.
+ * @param {Array} failures - Entries with domain, hash, stage, error, errorClass, retryable, key and files
+ * @returns {Promise<Object>} - Counts of scheduled and exhausted entries
+ * @throws {Error} - When the entries couldn't be saved, so the caller doesn't
+ * move past groups that were never queued
+ */
+async function recordFailures(failures) {
+  if (!failures || failures.length === 0) {
+    return { scheduledCount: 0, exhaustedCount: 0 };
+  }
+
+  try {
+    const collection = await db.getCollection(
+      config.mongodb.collections.deadLetters
+    );
+
+    // Attempts already made decide the backoff of the next retry
+    const ids = failures.map((failure) => `${failure.domain}/${failure.hash}`);
+    const storedEntries = await collection
+      .find({ _id: { $in: ids } })
+      .project({ _id: 1, attempts: 1 })
+      .toArray();
+    const previousAttempts = {};
+    storedEntries.forEach((entry) => {
+      previousAttempts[entry._id] = entry.attempts || 0;
+    });
+
+    const now = new Date();
+    let exhaustedCount = 0;
+    const bulkOps = failures.map((failure) => {
+      const groupKey = `${failure.domain}/${failure.hash}`;
+      const attempts = (previousAttempts[groupKey] || 0) + 1;
+      const exhausted =
+        failure.retryable === false ||
+        attempts >= config.deadLetters.maxAttempts;
+      if (exhausted) exhaustedCount++;
+
+      return {
+        updateOne: {
+          filter: { _id: groupKey },
+          update: {
+            $set: {
+              domain: failure.domain,
+              hash: failure.hash,
+              stage: failure.stage,
+              error: failure.error,
+              errorClass: failure.errorClass,
+              retryable: failure.retryable,
+              key: failure.key || null,
+              files: failure.files,
+              attempts,
+              lastFailedAt: now,
+              nextRetryAt: exhausted
+                ? null
+                : new Date(now.getTime() + getRetryDelay(attempts)),
+              status: exhausted ? "exhausted" : "pending",
+            },
+            $setOnInsert: { firstFailedAt: now },
+          },
+          upsert: true,
+        },
+      };
+    });
+
+    await collection.bulkWrite(bulkOps, { ordered: false });
+    console.log(
+      `Dead-lettered ${failures.length} groups (${exhaustedCount} not retried automatically)`
+    );
+
+    return {
+      scheduledCount: failures.length - exhaustedCount,
+      exhaustedCount,
+    };
+  } catch (error) {
+    console.error("Error saving dead letters to MongoDB:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get the entries of the given groups, whatever their status
+ * @param {Array<string>} groupKeys - Group keys (domain/hash)
+ * @returns {Promise<Object>} - Map of group keys to entries (status and files)
+ */
+async function getEntries(groupKeys) {
+  if (!groupKeys || groupKeys.length === 0) {
+    return {};
+  }
+
+  try {
+    const collection = await db.getCollection(
+      config.mongodb.collections.deadLetters
+    );
+
+    const entries = await collection
+      .find({ _id: { $in: groupKeys } })
+      .project({ _id: 1, status: 1, files: 1 })
+      .toArray();
+    const entryMap = {};
+    entries.forEach((entry) => {
+      entryMap[entry._id] = entry;
+    });
+    return entryMap;
+  } catch (error) {
+    console.error("Error getting dead letters from MongoDB:", error);
+    throw error;
+  }
+}
+
+/**
+ * Remove the entries of groups that were processed successfully
+ * @param {Array<string>} groupKeys - Group keys (domain/hash)
+ * @returns {Promise<number>} - Number of entries removed
+ */
+async function resolveEntries(groupKeys) {
+  if (!groupKeys || groupKeys.length === 0) {
+    return 0;
+  }
+
+  try {
+    const collection = await db.getCollection(
+      config.mongodb.collections.deadLetters
+    );
+
+    const result = await collection.deleteMany({ _id: { $in: groupKeys } });
+    if (result.deletedCount > 0) {
+      console.log(`Removed ${result.deletedCount} dead letters`);
+    }
+    return result.deletedCount;
+  } catch (error) {
+    console.error("Error clearing dead letters from MongoDB:", error);
+    return 0;
+  }
+}
+
+/**
+ * Query dead-letter entries
+ * @param {Object} query - Query parameters
+ * @param {Array<string>} [query.ids] - Group keys (domain/hash)
+ * @param {string} [query.stage] - Failed stage
+ * @param {string} [query.domain] - Domain
+ * @param {string} [query.status] - "pending" or "exhausted"
+ * @param {Date} [query.dueBefore] - Only pending entries due at or before this date
+ * @param {number} [query.limit] - Maximum number of entries to return
+ * @returns {Promise<Object>} - Matching entries (next due first) and total count
+ */
+async function queryEntries(query = {}) {
+  try {
+    const collection = await db.getCollection(
+      config.mongodb.collections.deadLetters
+    );
+
+    // Build the MongoDB query
+    const mongoQuery = {};
+
+    if (query.ids) {
+      mongoQuery._id = { $in: query.ids };
+    }
+
+    if (query.stage) {
+      mongoQuery.stage = query.stage;
+    }
+
+    if (query.domain) {
+      mongoQuery.domain = query.domain;
+    }
+
+    if (query.status) {
+      mongoQuery.status = query.status;
+    }
+
+    if (query.dueBefore) {
+      mongoQuery.status = "pending";
+      mongoQuery.nextRetryAt = { $lte: query.dueBefore };
+    }
+
+    const limit = query.limit || 100;
+    const entries = await collection
+      .find(mongoQuery)
+      .sort({ nextRetryAt: 1, lastFailedAt: -1 })
+      .limit(limit)
+      .toArray();
+    const total = await collection.countDocuments(mongoQuery);
+
+    return { entries, total, limit };
+  } catch (error) {
+    console.error("Error querying dead letters from MongoDB:", error);
+    return { entries: [], total: 0, limit: 0 };
+  }
+}
+
+module.exports = {
+  STAGES,
+  getRetryDelay,
+  recordFailures,
+  getEntries,
+  resolveEntries,
+  queryEntries,
+};
@@ -0,0 +1,369 @@
+const db = require("../services/database");
+const config = require("../config");
+const fingerprint = require("../services/fingerprint");
+
+// Fields of a matching article needed to cluster it
+const MATCH_PROJECTION = {
+  _id: 1,
+  domain: 1,
+  url: 1,
+  crawl_datetime: 1,
+  textHash: 1,
+  minhash: 1,
+  duplicateClusterId: 1,
+};
+
+/**
+ * Find stored articles with the same or nearly the same text
+ * Exact copies are looked up by textHash on their own. Near duplicate
+ * candidates are ranked by the number of MinHash bands they share before the
+ * candidate limit applies, so weak candidates can't crowd out close ones.
+ * @param {Collection} articles - Articles collection
+ * @param {Object} article - Article object
+ * @returns {Promise<Array>} - Matching articles with matchType ("exact" or "near") and similarity
+ */
+async function findMatches(articles, article) {
+  const limit = config.duplicates.candidateLimit;
+  const exact = await articles
+    .find({ _id: { $ne: article.id }, textHash: article.textHash })
+    .project(MATCH_PROJECTION)
+    .limit(limit)
+    .toArray();
+
+  const bands = article.minhashBands || [];
+  const candidates =
+    bands.length > 0
+      ? await articles
+          .aggregate([
+            {
+              $match: {
+                _id: { $ne: article.id },
+                textHash: { $ne: article.textHash },
+                minhashBands: { $in: bands },
+              },
+            },
+            {
+              $project: {
+                ...MATCH_PROJECTION,
+                sharedBands: {
+                  $size: {
+                    $setIntersection: ["$minhashBands", { $literal: bands }],
+                  },
+                },
+              },
+            },
+            { $sort: { sharedBands: -1 } },
+            { $limit: limit },
+          ])
+          .toArray()
+      : [];
+
+  const near = candidates
+    .map((candidate) => {
+      const similarity = fingerprint.estimateSimilarity(
+        article.minhash,
+        candidate.minhash
+      );
+      return similarity >= config.duplicates.minSimilarity
+        ? { ...candidate, matchType: "near", similarity }
+        : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.similarity - a.similarity);
+
+  return exact
+    .map((match) => ({ ...match, matchType: "exact", similarity: 1 }))
+    .concat(near);
+}
+
+/**
+ * Pick the likely original of a cluster: the member crawled first
+ * @param {Array} members - Cluster members
+ * @returns {Object} - Earliest member (members without a crawl date come last)
+ */
+function findOriginal(members) {
+  const time = (member) =>
+    member.crawl_datetime
+      ? new Date(member.crawl_datetime).getTime()
+      : Infinity;
+  return members.reduce((earliest, member) =>
+    time(member) < time(earliest) ? member : earliest
+  );
+}
+
+/**
+ * Link newly saved articles to the cluster of their exact or near duplicates
+ * Candidates are found through the text hash and the MinHash band index,
+ * then confirmed by their estimated similarity. A match without a cluster
+ * starts one; matches in different clusters merge them into the first one
+ * (the others are deleted and their ids kept in `mergedClusterIds`). The member
+ * with the earliest crawl_datetime is marked as the likely original.
+ * @param {Array} articles - Saved article objects
+ * @returns {Promise<Array>} - { id, clusterId, matchType, similarity, mergedClusterIds } per clustered article
+ * @throws {Error} - When the clusters couldn't be saved, so the groups are
+ * dead-lettered and clustered again by their retry
+ */
+async function assignClusters(articles) {
+  const fingerprinted = (articles || []).filter((article) => article.textHash);
+  if (fingerprinted.length === 0) {
+    return [];
+  }
+
+  try {
+    const collection = await db.getCollection();
+    const clusters = await db.getCollection(
+      config.mongodb.collections.duplicateClusters
+    );
+
+    const clustered = [];
+    const now = new Date();
+
+    // One at a time, so duplicates within the batch find each other's cluster
+    for (const article of fingerprinted) {
+      const matches = await findMatches(collection, article);
+      if (matches.length === 0) continue;
+
+      const best = matches[0];
+      const clusterIds = [
+        ...new Set(
+          matches.map((match) => match.duplicateClusterId).filter(Boolean)
+        ),
+      ];
+      const clusterId = clusterIds[0] || best._id;
+
+      // Join the cluster together with matches that aren't in one yet
+      const stored = await clusters.findOne({ _id: clusterId });
+      const members = stored ? stored.members : [];
+      const toMember = (item, matchType, similarity) => ({
+        id: item._id || item.id,
+        domain: item.domain,
+        url: item.url,
+        crawl_datetime: item.crawl_datetime || null,
+        matchType,
+        similarity,
+      });
+      const addMember = (member) => {
+        if (!members.some((existing) => existing.id === member.id)) {
+          members.push(member);
+        }
+      };
+      matches
+        .filter((match) => !match.duplicateClusterId)
+        .forEach((match) =>
+          addMember(
+            toMember(
+              match,
+              match._id === clusterId ? null : match.matchType,
+              match._id === clusterId ? null : match.similarity
+            )
+          )
+        );
+
+      // The article bridges matches from other clusters: fold them into this one
+      const mergedClusterIds = clusterIds.slice(1);
+      if (mergedClusterIds.length > 0) {
+        const mergedClusters = await clusters
+          .find({ _id: { $in: mergedClusterIds } })
+          .toArray();
+        mergedClusters.forEach((cluster) => cluster.members.forEach(addMember));
+        await clusters.deleteMany({ _id: { $in: mergedClusterIds } });
+      }
+
+      // The article may already have joined as a match of a batch-mate
+      addMember(toMember(article, best.matchType, best.similarity));
+
+      const original = findOriginal(members);
+      const memberIds = members.map((member) => member.id);
+      await clusters.updateOne(
+        { _id: clusterId },
+        {
+          $set: {
+            members,
+            size: members.length,
+            originalId: original.id,
+            originalCrawlDatetime: original.crawl_datetime,
+            updatedAt: now,
+          },
+          $setOnInsert: { createdAt: now },
+          ...(mergedClusterIds.length > 0
+            ? { $addToSet: { mergedClusterIds: { $each: mergedClusterIds } } }
+            : {}),
+        },
+        { upsert: true }
+      );
+      await collection.bulkWrite([
+        {
+          updateMany: {
+            filter: { _id: { $in: memberIds } },
+            update: {
+              $set: { duplicateClusterId: clusterId, isLikelyOriginal: false },
+            },
+          },
+        },
+        {
+          updateOne: {
+            filter: { _id: original.id },
+            update: { $set: { isLikelyOriginal: true } },
+          },
+        },
+      ]);
+
+      clustered.push({
+        id: article.id,
+        clusterId,
+        matchType: best.matchType,
+        similarity: best.similarity,
+        mergedClusterIds,
+      });
+    }
+
+    console.log(
+      `Linked ${clustered.length} of ${fingerprinted.length} articles to duplicate clusters`
+    );
+    return clustered;
+  } catch (error) {
+    console.error("Error assigning duplicate clusters in MongoDB:", error);
+    throw error;
+  }
+}
+
+/**
+ * Take articles out of their duplicate clusters, e.g. revised articles before
+ * they are matched again with their new text
+ * Clusters left with a single member are deleted, the others get their likely
+ * original picked again.
+ * @param {Array<string>} articleIds - Article ids
+ * @returns {Promise<number>} - Number of clusters changed
+ * @throws {Error} - When the clusters couldn't be updated
+ */
+async function removeFromClusters(articleIds) {
+  if (!articleIds || articleIds.length === 0) {
+    return 0;
+  }
+
+  try {
+    const collection = await db.getCollection();
+    const clusters = await db.getCollection(
+      config.mongodb.collections.duplicateClusters
+    );
+
+    const storedArticles = await collection
+      .find({ _id: { $in: articleIds }, duplicateClusterId: { $ne: null } })
+      .project({ _id: 1, duplicateClusterId: 1 })
+      .toArray();
+    const clusterIds = [
+      ...new Set(storedArticles.map((article) => article.duplicateClusterId)),
+    ];
+    if (clusterIds.length === 0) {
+      return 0;
+    }
+
+    const leaving = new Set(articleIds);
+    const now = new Date();
+    const unclustered = [...articleIds];
+    const articleOps = [];
+    const storedClusters = await clusters
+      .find({ _id: { $in: clusterIds } })
+      .toArray();
+    for (const cluster of storedClusters) {
+      const members = cluster.members.filter(
+        (member) => !leaving.has(member.id)
+      );
+      if (members.length < 2) {
+        await clusters.deleteOne({ _id: cluster._id });
+        unclustered.push(...members.map((member) => member.id));
+        continue;
+      }
+
+      const original = findOriginal(members);
+      await clusters.updateOne(
+        { _id: cluster._id },
+        {
+          $set: {
+            members,
+            size: members.length,
+            originalId: original.id,
+            originalCrawlDatetime: original.crawl_datetime,
+            updatedAt: now,
+          },
+        }
+      );
+      articleOps.push(
+        {
+          updateMany: {
+            filter: { _id: { $in: members.map((member) => member.id) } },
+            update: { $set: { isLikelyOriginal: false } },
+          },
+        },
+        {
+          updateOne: {
+            filter: { _id: original.id },
+            update: { $set: { isLikelyOriginal: true } },
+          },
+        }
+      );
+    }
+
+    articleOps.unshift({
+      updateMany: {
+        filter: { _id: { $in: unclustered } },
+        update: { $unset: { duplicateClusterId: "", isLikelyOriginal: "" } },
+      },
+    });
+    await collection.bulkWrite(articleOps);
+
+    console.log(
+      `Removed ${storedArticles.length} articles from ${storedClusters.length} duplicate clusters`
+    );
+    return storedClusters.length;
+  } catch (error) {
+    console.error("Error removing articles from duplicate clusters:", error);
+    throw error;
+  }
+}
+
+/**
+ * Query duplicate clusters
+ * @param {Object} query - Query parameters
+ * @param {string} [query.domain] - Only clusters with a member on this domain
+ * @param {number} [query.minSize] - Minimum number of members
+ * @param {number} [query.limit] - Maximum number of clusters to return
+ * @returns {Promise<Object>} - Matching clusters (most recently updated first) and total count
+ */
+async function queryClusters(query = {}) {
+  try {
+    const collection = await db.getCollection(
+      config.mongodb.collections.duplicateClusters
+    );
+
+    // Build the MongoDB query
+    const mongoQuery = {};
+
+    if (query.domain) {
+      mongoQuery["members.domain"] = query.domain;
+    }
+
+    if (query.minSize) {
+      mongoQuery.size = { $gte: query.minSize };
+    }
+
+    const limit = query.limit || 20;
+    const clusters = await collection
+      .find(mongoQuery)
+      .sort({ updatedAt: -1 })
+      .limit(limit)
+      .toArray();
+    const total = await collection.countDocuments(mongoQuery);
+
+    return { clusters, total, limit };
+  } catch (error) {
+    console.error("Error querying duplicate clusters from MongoDB:", error);
+    return { clusters: [], total: 0, limit: 0 };
+  }
+}
+
+module.exports = {
+  assignClusters,
+  removeFromClusters,
+  queryClusters,
+};
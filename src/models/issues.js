@@ -0,0 +1,145 @@
+const db = require("../services/database");
+const config = require("../config");
+
+// Issue types tracked per hash group
+const ISSUE_TYPES = {
+  BROKEN_LINK: "broken_link", // page.html without metadata.json
+  INVALID_METADATA: "invalid_metadata", // metadata.json failed schema validation
+  FAILED_EXTRACTION: "failed_extraction", // no meaningful content extracted
+};
+
+/**
+ * Record the issues found for processed groups
+ * Each group and issue type has one record: a new occurrence bumps its count
+ * and last-seen time (and reopens it if it was resolved). Open issues of types
+ * not seen again are resolved, but only for groups whose files could all be
+ * read, so a download failure never resolves anything.
+ * @param {Array} groups - Entries with domain, hash, issues ([{ type, details }]) and evaluated
+ * @returns {Promise<Object>} - Counts of recorded and resolved issues
+ */
+async function recordGroupIssues(groups) {
+  if (!groups || groups.length === 0) {
+    return { recordedCount: 0, resolvedCount: 0 };
+  }
+
+  try {
+    const collection = await db.getCollection(
+      config.mongodb.collections.issues
+    );
+
+    const now = new Date();
+    const recordOps = [];
+    const resolveOps = [];
+
+    groups.forEach((group) => {
+      const groupKey = `${group.domain}/${group.hash}`;
+
+      group.issues.forEach((issue) => {
+        recordOps.push({
+          updateOne: {
+            filter: { _id: `${groupKey}:${issue.type}` },
+            update: {
+              $set: {
+                groupKey,
+                domain: group.domain,
+                hash: group.hash,
+                type: issue.type,
+                details: issue.details,
+                lastSeenAt: now,
+                resolved: false,
+                resolvedAt: null,
+              },
+              $setOnInsert: { firstSeenAt: now },
+              $inc: { occurrences: 1 },
+            },
+            upsert: true,
+          },
+        });
+      });
+
+      if (group.evaluated) {
+        resolveOps.push({
+          updateMany: {
+            filter: {
+              groupKey,
+              resolved: false,
+              type: { $nin: group.issues.map((issue) => issue.type) },
+            },
+            update: { $set: { resolved: true, resolvedAt: now } },
+          },
+        });
+      }
+    });
+
+    if (recordOps.length > 0) {
+      await collection.bulkWrite(recordOps, { ordered: false });
+    }
+    const resolved =
+      resolveOps.length > 0
+        ? await collection.bulkWrite(resolveOps, { ordered: false })
+        : { modifiedCount: 0 };
+
+    console.log(
+      `Recorded ${recordOps.length} issues, resolved ${resolved.modifiedCount} for ${groups.length} groups`
+    );
+    return {
+      recordedCount: recordOps.length,
+      resolvedCount: resolved.modifiedCount,
+    };
+  } catch (error) {
+    console.error("Error saving issues to MongoDB:", error);
+    return { recordedCount: 0, resolvedCount: 0 };
+  }
+}
+
+/**
+ * Query tracked issues
+ * @param {Object} query - Query parameters
+ * @param {string} [query.type] - Issue type
+ * @param {string} [query.domain] - Domain
+ * @param {string} [query.state] - "open" (default), "resolved" or "all"
+ * @param {number} [query.limit] - Maximum number of issues to return
+ * @returns {Promise<Object>} - Matching issues (most recently seen first) and total count
+ */
+async function queryIssues(query = {}) {
+  try {
+    const collection = await db.getCollection(
+      config.mongodb.collections.issues
+    );
+
+    // Build the MongoDB query
+    const mongoQuery = {};
+
+    if (query.type) {
+      mongoQuery.type = query.type;
+    }
+
+    if (query.domain) {
+      mongoQuery.domain = query.domain;
+    }
+
+    const state = query.state || "open";
+    if (state !== "all") {
+      mongoQuery.resolved = state === "resolved";
+    }
+
+    const limit = query.limit || 100;
+    const issues = await collection
+      .find(mongoQuery)
+      .sort({ lastSeenAt: -1 })
+      .limit(limit)
+      .toArray();
+    const total = await collection.countDocuments(mongoQuery);
+
+    return { issues, total, limit };
+  } catch (error) {
+    console.error("Error querying issues from MongoDB:", error);
+    return { issues: [], total: 0, limit: 0 };
+  }
+}
+
+module.exports = {
+  ISSUE_TYPES,
+  recordGroupIssues,
+  queryIssues,
+};
@@ -0,0 +1,126 @@
+const db = require("../services/database");
+const config = require("../config");
+const urlNormalizer = require("../services/urlNormalizer");
+
+/**
+ * Save the outbound links of articles to the links collection
+ * Each article's previous links are replaced, so re-saving an article never
+ * leaves stale edges behind
+ * @param {Array} articles - Article objects with id, domain, url and links
+ * @returns {Promise<Object>} - Number of articles and links written
+ */
+async function saveArticleLinks(articles) {
+  const withLinks = (articles || []).filter((article) => article.links);
+  if (withLinks.length === 0) {
+    return { articleCount: 0, linkCount: 0 };
+  }
+
+  try {
+    const collection = await db.getCollection(config.mongodb.collections.links);
+
+    const now = new Date();
+    const bulkOps = [];
+    let linkCount = 0;
+
+    withLinks.forEach((article) => {
+      bulkOps.push({ deleteMany: { filter: { source: article.id } } });
+
+      article.links.forEach((link) => {
+        linkCount++;
+        bulkOps.push({
+          insertOne: {
+            document: {
+              _id: `${article.id} ${link.url}`,
+              source: article.id,
+              sourceDomain: article.domain,
+              sourceUrl: urlNormalizer.normalizeUrl(article.url),
+              url: link.url,
+              targetKey: urlNormalizer.canonicalizeUrl(link.url),
+              host: link.host,
+              text: link.text,
+              type: link.type,
+              createdAt: now,
+            },
+          },
+        });
+      });
+    });
+
+    await collection.bulkWrite(bulkOps, { ordered: true });
+    console.log(
+      `Saved ${linkCount} links for ${withLinks.length} articles to MongoDB`
+    );
+
+    return { articleCount: withLinks.length, linkCount };
+  } catch (error) {
+    console.error("Error saving article links to MongoDB:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get the outbound and inbound links of an article
+ * Inbound links are those whose target is the article's URL or canonical URL,
+ * or canonicalizes to the same key (mobile, AMP and tracking variants)
+ * @param {string} articleId - Article id (domain/hash)
+ * @param {number} [limit=100] - Maximum number of links per direction
+ * @returns {Promise<Object>} - { article, outbound, inbound }; article is null if unknown
+ */
+async function getArticleLinks(articleId, limit = 100) {
+  try {
+    const collection = await db.getCollection(config.mongodb.collections.links);
+    const articles = await db.getCollection(
+      config.mongodb.collections.articles
+    );
+
+    const article = await articles.findOne(
+      { _id: articleId },
+      {
+        projection: {
+          _id: 1,
+          title: 1,
+          url: 1,
+          canonicalUrl: 1,
+          canonicalKey: 1,
+        },
+      }
+    );
+
+    const outbound = await collection
+      .find({ source: articleId })
+      .sort({ type: 1, url: 1 })
+      .limit(limit)
+      .toArray();
+
+    // Match inbound links on every URL the article is known under
+    const targetUrls = [
+      ...new Set(
+        [article?.url, article?.canonicalUrl]
+          .map((url) => urlNormalizer.normalizeUrl(url))
+          .filter(Boolean)
+      ),
+    ];
+    const targetMatches = [{ url: { $in: targetUrls } }];
+    if (article?.canonicalKey) {
+      targetMatches.push({ targetKey: article.canonicalKey });
+    }
+    const inbound =
+      targetUrls.length > 0
+        ? await collection
+            .find({ $or: targetMatches, source: { $ne: articleId } })
+            .sort({ source: 1 })
+            .limit(limit)
+            .toArray()
+        : [];
+
+    return { article, outbound, inbound };
+  } catch (error) {
+    console.error("Error getting article links from MongoDB:", error);
+    throw error;
+  }
+}
+
+module.exports = {
+  saveArticleLinks,
+  getArticleLinks,
+};
@@ -0,0 +1,60 @@
+const db = require("../services/database");
+const config = require("../config");
+
+/**
+ * Get the migrations already applied to the database
+ * @returns {Promise<Array>} - Applied migrations ({ version, description, appliedAt, durationMs, result }) by version
+ */
+async function getAppliedMigrations() {
+  try {
+    const collection = await db.getCollection(
+      config.mongodb.collections.migrations
+    );
+
+    const applied = await collection.find({}).sort({ _id: 1 }).toArray();
+    return applied.map((migration) => ({
+      ...migration,
+      version: migration._id,
+    }));
+  } catch (error) {
+    console.error("Error getting applied migrations from MongoDB:", error);
+    throw error;
+  }
+}
+
+/**
+ * Record a migration as applied
+ * @param {Object} migration - Migration with version and description
+ * @param {Object} details - Run details
+ * @param {number} details.durationMs - Time the migration took
+ * @param {Object} [details.result] - Summary returned by the migration
+ * @returns {Promise<void>}
+ */
+async function recordMigration(migration, details) {
+  try {
+    const collection = await db.getCollection(
+      config.mongodb.collections.migrations
+    );
+
+    await collection.updateOne(
+      { _id: migration.version },
+      {
+        $set: {
+          description: migration.description,
+          appliedAt: new Date(),
+          durationMs: details.durationMs,
+          result: details.result || null,
+        },
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    console.error("Error recording migration in MongoDB:", error);
+    throw error;
+  }
+}
+
+module.exports = {
+  getAppliedMigrations,
+  recordMigration,
+};
@@ -2,52 +2,76 @@ const db = require("../services/database");
 const config = require("../config");
 const fileProcessor = require("../services/fileProcessor");
 
+// Pair ids per $in query when looking up processed files
+const LOOKUP_BATCH_SIZE = 1000;
+
 /**
- * Get list of already processed files from MongoDB
+ * Get the processed files of the given pairs from MongoDB
+ * Only the pairs being handled are loaded, in batches of $in queries, so the
+ * cost follows the size of the run rather than of the collection
+ * @param {Array<string>} pairIds - Pair ids (domain/hash) to look up
  * @returns {Promise<Object>} - Map of file keys to last modified timestamps
  */
-async function getProcessedFiles() {
-  let client;
+async function getProcessedFiles(pairIds = []) {
   try {
-    // Connect to MongoDB
-    const connection = await db.connect(
+    const collection = await db.getCollection(
       config.mongodb.collections.processedFiles
     );
-    client = connection.client;
-    const collection = connection.collection;
-
-    // Get all processed file pairs
-    const processedPairs = await collection.find({}).toArray();
 
     // Create a map of individual file paths to last modified timestamps
     const processedFilesMap = {};
-
-    processedPairs.forEach((pair) => {
-      // Add HTML file if it exists
-      if (pair.html && pair.html.path && pair.html.lastModified) {
-        processedFilesMap[pair.html.path] = pair.html.lastModified;
-      }
-
-      // Add metadata file if it exists
-      if (pair.metadata && pair.metadata.path && pair.metadata.lastModified) {
-        processedFilesMap[pair.metadata.path] = pair.metadata.lastModified;
-      }
-    });
+    const uniquePairIds = [...new Set(pairIds)];
+    let pairCount = 0;
+
+    for (let i = 0; i < uniquePairIds.length; i += LOOKUP_BATCH_SIZE) {
+      const processedPairs = await collection
+        .find({
+          pair_id: { $in: uniquePairIds.slice(i, i + LOOKUP_BATCH_SIZE) },
+        })
+        .project({ html: 1, metadata: 1 })
+        .toArray();
+      pairCount += processedPairs.length;
+
+      processedPairs.forEach((pair) => {
+        // Add HTML file if it exists
+        if (pair.html && pair.html.path && pair.html.lastModified) {
+          processedFilesMap[pair.html.path] = pair.html.lastModified;
+        }
+
+        // Add metadata file if it exists
+        if (pair.metadata && pair.metadata.path && pair.metadata.lastModified) {
+          processedFilesMap[pair.metadata.path] = pair.metadata.lastModified;
+        }
+      });
+    }
 
     console.log(
       `Retrieved ${
         Object.keys(processedFilesMap).length
-      } processed files from database (${processedPairs.length} file pairs)`
+      } processed files from database (${pairCount} of ${
+        uniquePairIds.length
+      } file pairs)`
     );
     return processedFilesMap;
   } catch (error) {
     console.error("Error getting processed files from MongoDB:", error);
     return {};
-  } finally {
-    // Close the MongoDB connection
-    if (client) {
-      await client.close();
-    }
+  }
+}
+
+/**
+ * Get the domains that have processed file pairs
+ * @returns {Promise<Array<string>>} - Distinct domains
+ */
+async function getProcessedDomains() {
+  try {
+    const collection = await db.getCollection(
+      config.mongodb.collections.processedFiles
+    );
+    return await collection.distinct("domain");
+  } catch (error) {
+    console.error("Error getting processed domains from MongoDB:", error);
+    return [];
   }
 }
 
@@ -55,21 +79,28 @@ async function getProcessedFiles() {
  * Save processed files to MongoDB
  * @param {Object} processedFiles - Map of file keys to last modified timestamps
  * @param {Object} processingResults - Results of processing each file (success/fail)
- * @returns {Promise<boolean>} - Success or failure
+ * @param {Object} pairDetails - Extra pair-level fields keyed by pair_id (e.g. pageType)
+ * @param {Object} [options] - Save options
+ * @param {boolean} [options.reprocessed] - The pairs were reprocessed: keep
+ * their processedAt and record the time as reprocessedAt instead
+ * @returns {Promise<boolean>} - True once saved
+ * @throws {Error} - When the pairs couldn't be saved, so the caller doesn't
+ * move past files that were never recorded
  */
-async function saveProcessedFiles(processedFiles, processingResults = {}) {
+async function saveProcessedFiles(
+  processedFiles,
+  processingResults = {},
+  pairDetails = {},
+  options = {}
+) {
   if (!processedFiles || Object.keys(processedFiles).length === 0) {
     return true;
   }
 
-  let client;
   try {
-    // Connect to MongoDB
-    const connection = await db.connect(
+    const collection = await db.getCollection(
       config.mongodb.collections.processedFiles
     );
-    client = connection.client;
-    const collection = connection.collection;
 
     // Group files by their directory (domain/hash)
     const filesByPair = {};
@@ -86,11 +117,7 @@ async function saveProcessedFiles(processedFiles, processingResults = {}) {
       const hash = keyParts[2];
       const fileName = keyParts[3];
       const pair_id = `${domain}/${hash}`;
-      const fileType = fileName.endsWith(".html")
-        ? "html"
-        : fileName.endsWith(".json")
-        ? "metadata"
-        : "other";
+      const fileType = fileProcessor.getFileType(fileName) || "other";
 
       if (!filesByPair[pair_id]) {
         filesByPair[pair_id] = {
@@ -114,12 +141,32 @@ async function saveProcessedFiles(processedFiles, processingResults = {}) {
         lastModified,
         lastModifiedDate: new Date(lastModified),
         processingTimeMs: result.processingTimeMs,
+        attempts: result.attempts,
         status: result.success ? "success" : "failed",
         error: result.error,
         fileSize: result.fileSize,
       };
     });
 
+    // Keep the stored half of pairs where only one file was processed now,
+    // so the status reflects both halves instead of overwriting one with null
+    const partialPairIds = Object.values(filesByPair)
+      .filter((pair) => !pair.files.html || !pair.files.metadata)
+      .map((pair) => pair.pair_id);
+    if (partialPairIds.length > 0) {
+      const storedPairs = await collection
+        .find({ pair_id: { $in: partialPairIds } })
+        .project({ pair_id: 1, html: 1, metadata: 1 })
+        .toArray();
+      storedPairs.forEach((stored) => {
+        const files = filesByPair[stored.pair_id].files;
+        if (!files.html && stored.html) files.html = stored.html;
+        if (!files.metadata && stored.metadata) {
+          files.metadata = stored.metadata;
+        }
+      });
+    }
+
     // Convert to array of documents for MongoDB
     const documents = Object.values(filesByPair).map((pair) => ({
       pair_id: pair.pair_id,
@@ -130,16 +177,36 @@ async function saveProcessedFiles(processedFiles, processingResults = {}) {
       metadata: pair.files.metadata || null,
       hasBoth: !!(pair.files.html && pair.files.metadata),
       status: fileProcessor.getOverallStatus(pair),
+      // A newly saved pair is re-checked from scratch if still incomplete
+      nextCheckAt: null,
+      reconcileChecks: 0,
+      ...(pairDetails[pair.pair_id] || {}),
     }));
 
     // Insert documents with upsert (update if exists, insert if not)
-    const bulkOps = documents.map((doc) => ({
-      updateOne: {
-        filter: { pair_id: doc.pair_id },
-        update: { $set: doc },
-        upsert: true,
-      },
-    }));
+    const bulkOps = documents.map((doc) => {
+      if (!options.reprocessed) {
+        return {
+          updateOne: {
+            filter: { pair_id: doc.pair_id },
+            update: { $set: doc },
+            upsert: true,
+          },
+        };
+      }
+
+      const { processedAt, ...fields } = doc;
+      return {
+        updateOne: {
+          filter: { pair_id: doc.pair_id },
+          update: {
+            $set: { ...fields, reprocessedAt: processedAt },
+            $setOnInsert: { processedAt },
+          },
+          upsert: true,
+        },
+      };
+    });
 
     // Execute bulk operation
     const result = await collection.bulkWrite(bulkOps);
@@ -151,12 +218,106 @@ async function saveProcessedFiles(processedFiles, processingResults = {}) {
     return true;
   } catch (error) {
     console.error("Error saving processed files to MongoDB:", error);
-    return false;
-  } finally {
-    // Close the MongoDB connection
-    if (client) {
-      await client.close();
+    throw error;
+  }
+}
+
+/**
+ * Get pairs that are still missing one of their files
+ * @param {Object} [options] - Query options
+ * @param {Date} [options.since] - Only pairs processed at or after this date
+ * @param {Date} [options.dueBefore] - Only pairs whose next re-check is due by this date
+ * @param {number} [options.limit] - Maximum number of pairs to return
+ * @returns {Promise<Array>} - Pairs with status awaiting_metadata or incomplete, most recent first
+ */
+async function getIncompletePairs(options = {}) {
+  try {
+    const collection = await db.getCollection(
+      config.mongodb.collections.processedFiles
+    );
+
+    const mongoQuery = { status: { $in: ["awaiting_metadata", "incomplete"] } };
+    if (options.since) {
+      mongoQuery.processedAt = { $gte: options.since };
     }
+    if (options.dueBefore) {
+      mongoQuery.$or = [
+        { nextCheckAt: null },
+        { nextCheckAt: { $lte: options.dueBefore } },
+      ];
+    }
+
+    const pairs = await collection
+      .find(mongoQuery)
+      .project({
+        pair_id: 1,
+        domain: 1,
+        hash: 1,
+        html: 1,
+        metadata: 1,
+        reconcileChecks: 1,
+      })
+      .sort({ processedAt: -1 })
+      .limit(options.limit || 1000)
+      .toArray();
+
+    console.log(`Retrieved ${pairs.length} incomplete file pairs`);
+    return pairs;
+  } catch (error) {
+    console.error("Error getting incomplete pairs from MongoDB:", error);
+    return [];
+  }
+}
+
+/**
+ * Delay before the next re-check of an incomplete pair
+ * @param {number} checks - Re-checks that found the file missing, including the last one
+ * @returns {number} - Delay in milliseconds
+ */
+function getReconcileDelay(checks) {
+  const { reconcileBaseDelayMs, reconcileMaxDelayMs } = config.pipeline;
+  return Math.min(
+    reconcileMaxDelayMs,
+    reconcileBaseDelayMs * 2 ** (checks - 1)
+  );
+}
+
+/**
+ * Push back the next re-check of incomplete pairs whose missing file still
+ * doesn't exist, so the same pairs aren't looked up on every run
+ * @param {Array} pairs - Pairs from getIncompletePairs
+ * @returns {Promise<number>} - Number of pairs rescheduled
+ */
+async function scheduleReconcileChecks(pairs) {
+  if (!pairs || pairs.length === 0) return 0;
+
+  try {
+    const collection = await db.getCollection(
+      config.mongodb.collections.processedFiles
+    );
+
+    const now = Date.now();
+    const bulkOps = pairs.map((pair) => {
+      const checks = (pair.reconcileChecks || 0) + 1;
+      return {
+        updateOne: {
+          filter: { pair_id: pair.pair_id },
+          update: {
+            $set: {
+              reconcileChecks: checks,
+              nextCheckAt: new Date(now + getReconcileDelay(checks)),
+            },
+          },
+        },
+      };
+    });
+
+    await collection.bulkWrite(bulkOps, { ordered: false });
+    console.log(`Rescheduled ${pairs.length} incomplete pairs`);
+    return pairs.length;
+  } catch (error) {
+    console.error("Error rescheduling incomplete pairs in MongoDB:", error);
+    return 0;
   }
 }
 
@@ -166,14 +327,10 @@ async function saveProcessedFiles(processedFiles, processingResults = {}) {
  * @returns {Promise<Object>} - Query results with pagination
  */
 async function queryProcessedFiles(query = {}) {
-  let client;
   try {
-    // Connect to MongoDB
-    const connection = await db.connect(
+    const collection = await db.getCollection(
       config.mongodb.collections.processedFiles
     );
-    client = connection.client;
-    const collection = connection.collection;
 
     // Build the MongoDB query
     const mongoQuery = {};
@@ -182,6 +339,10 @@ async function queryProcessedFiles(query = {}) {
       mongoQuery.pair_id = query.pair_id;
     }
 
+    if (query.pair_ids) {
+      mongoQuery.pair_id = { $in: query.pair_ids };
+    }
+
     if (query.domain) {
       mongoQuery.domain = query.domain;
     }
@@ -194,6 +355,14 @@ async function queryProcessedFiles(query = {}) {
       mongoQuery.status = query.status;
     }
 
+    if (query.language) {
+      mongoQuery.language = query.language;
+    }
+
+    if (query.violation) {
+      mongoQuery["metadataViolations.code"] = query.violation;
+    }
+
     if (query.hasBoth !== undefined) {
       mongoQuery.hasBoth = query.hasBoth;
     }
@@ -273,31 +442,60 @@ async function queryProcessedFiles(query = {}) {
   } catch (error) {
     console.error("Error querying processed files from MongoDB:", error);
     return { pairs: [], total: 0, limit: 0, skip: 0 };
-  } finally {
-    // Close the MongoDB connection
-    if (client) {
-      await client.close();
-    }
   }
 }
 
+/**
+ * Count pairs per value of a label field, per domain and in total
+ * @param {Collection} collection - Processed files collection
+ * @param {string} field - Label field, e.g. pageType or language
+ * @param {Object} match - Filter applied before counting
+ * @returns {Promise<Object>} - { byDomain: { domain: { label: count } }, total: { label: count } }
+ */
+async function countLabels(collection, field, match) {
+  const stats = await collection
+    .aggregate([
+      { $match: { ...match, [field]: { $ne: null } } },
+      {
+        $group: {
+          _id: { domain: "$domain", label: `$${field}` },
+          count: { $sum: 1 },
+        },
+      },
+    ])
+    .toArray();
+
+  const byDomain = {};
+  const total = {};
+  stats.forEach((stat) => {
+    const { domain, label } = stat._id;
+    byDomain[domain] = byDomain[domain] || {};
+    byDomain[domain][label] = stat.count;
+    total[label] = (total[label] || 0) + stat.count;
+  });
+
+  return { byDomain, total };
+}
+
 /**
  * Get a summary of processed file pairs, grouped by domain and status
+ * @param {Object} [filter] - Summary filter
+ * @param {string} [filter.language] - Only count pairs in this language
  * @returns {Promise<Object>} - Summary statistics
  */
-async function getProcessedFilesSummary() {
-  let client;
+async function getProcessedFilesSummary(filter = {}) {
   try {
-    // Connect to MongoDB
-    const connection = await db.connect(
+    const collection = await db.getCollection(
       config.mongodb.collections.processedFiles
     );
-    client = connection.client;
-    const collection = connection.collection;
+
+    const match = {};
+    if (filter.language) match.language = filter.language;
 
     // Get counts by domain
     const domainStats = await collection
       .aggregate([
+        { $match: match },
         {
           $group: {
             _id: "$domain",
@@ -311,6 +509,14 @@ async function getProcessedFilesSummary() {
             incompletePairs: {
               $sum: { $cond: [{ $eq: ["$status", "incomplete"] }, 1, 0] },
             },
+            awaitingMetadataPairs: {
+              $sum: {
+                $cond: [{ $eq: ["$status", "awaiting_metadata"] }, 1, 0],
+              },
+            },
+            invalidMetadataPairs: {
+              $sum: { $cond: [{ $eq: ["$metadataValid", false] }, 1, 0] },
+            },
             completePairs: {
               $sum: { $cond: [{ $eq: ["$hasBoth", true] }, 1, 0] },
             },
@@ -356,6 +562,7 @@ async function getProcessedFilesSummary() {
     // Get overall stats
     const totalStats = await collection
       .aggregate([
+        { $match: match },
         {
           $group: {
             _id: null,
@@ -369,6 +576,14 @@ async function getProcessedFilesSummary() {
             incompletePairs: {
               $sum: { $cond: [{ $eq: ["$status", "incomplete"] }, 1, 0] },
             },
+            awaitingMetadataPairs: {
+              $sum: {
+                $cond: [{ $eq: ["$status", "awaiting_metadata"] }, 1, 0],
+              },
+            },
+            invalidMetadataPairs: {
+              $sum: { $cond: [{ $eq: ["$metadataValid", false] }, 1, 0] },
+            },
             completePairs: {
               $sum: { $cond: [{ $eq: ["$hasBoth", true] }, 1, 0] },
             },
@@ -418,24 +633,35 @@ async function getProcessedFilesSummary() {
       ])
       .toArray();
 
+    // Attach page type and language counts to each domain and to the totals
+    const pageTypes = await countLabels(collection, "pageType", match);
+    const languages = await countLabels(collection, "language", match);
+    domainStats.forEach((domain) => {
+      domain.pageTypes = pageTypes.byDomain[domain._id] || {};
+      domain.languages = languages.byDomain[domain._id] || {};
+    });
+
     return {
       domainStats,
-      totalStats: totalStats[0] || { totalPairs: 0 },
+      totalStats: {
+        ...(totalStats[0] || { totalPairs: 0 }),
+        pageTypes: pageTypes.total,
+        languages: languages.total,
+      },
     };
   } catch (error) {
     console.error("Error getting processed files summary from MongoDB:", error);
     return { domainStats: [], totalStats: { totalPairs: 0 } };
-  } finally {
-    // Close the MongoDB connection
-    if (client) {
-      await client.close();
-    }
   }
 }
 
 module.exports = {
   getProcessedFiles,
+  getProcessedDomains,
   saveProcessedFiles,
+  getIncompletePairs,
+  getReconcileDelay,
+  scheduleReconcileChecks,
   queryProcessedFiles,
   getProcessedFilesSummary,
 };
@@ -0,0 +1,176 @@
+const db = require("../services/database");
+const config = require("../config");
+const articleDiff = require("../services/articleDiff");
+
+/**
+ * Update stored articles whose content changed, keeping the previous versions
+ * The stored version of a changed article goes to the revisions collection
+ * with a field-level diff, then the article is replaced and its revision
+ * number bumped. Copies merged into another article are left alone.
+ * @param {Array} articles - Article objects whose ids are already stored
+ * @param {Object} [options] - Save options
+ * @param {Boolean} [options.updateUnchanged] - Also replace articles whose content hash didn't change (no revision is recorded)
+ * @returns {Promise<Object>} - { revised: [{ id, revision, changedFields }], updatedIds }
+ */
+async function saveRevisions(articles, options = {}) {
+  if (!articles || articles.length === 0) {
+    return { revised: [], updatedIds: [] };
+  }
+
+  try {
+    const collection = await db.getCollection();
+    const revisions = await db.getCollection(
+      config.mongodb.collections.revisions
+    );
+
+    const storedArticles = await collection
+      .find({ _id: { $in: articles.map((article) => article.id) } })
+      .project({
+        ...Object.fromEntries(
+          articleDiff.REVISION_FIELDS.map((field) => [field, 1])
+        ),
+        contentHash: 1,
+        revision: 1,
+        revisedAt: 1,
+      })
+      .toArray();
+    const storedById = {};
+    storedArticles.forEach((article) => {
+      storedById[article._id] = article;
+    });
+
+    const now = new Date();
+    const revised = [];
+    const revisionOps = [];
+    const articleOps = [];
+
+    articles.forEach((article) => {
+      const stored = storedById[article.id];
+      if (!stored) return;
+
+      // Articles saved before hashing was added get their hash computed here
+      const storedHash =
+        stored.contentHash || articleDiff.computeContentHash(stored);
+      const revision = stored.revision || 1;
+
+      if (storedHash === article.contentHash) {
+        if (options.updateUnchanged) {
+          articleOps.push({
+            updateOne: {
+              filter: { _id: article.id },
+              update: { $set: { ...article, revision } },
+            },
+          });
+        }
+        return;
+      }
+
+      const diff = articleDiff.diffArticles(stored, article);
+      revisionOps.push({
+        updateOne: {
+          filter: { _id: `${article.id}@${revision}` },
+          update: {
+            $setOnInsert: {
+              articleId: article.id,
+              revision,
+              contentHash: storedHash,
+              snapshot: articleDiff.snapshotArticle(stored),
+              diff,
+              validFrom: stored.revisedAt || null,
+              replacedAt: now,
+            },
+          },
+          upsert: true,
+        },
+      });
+      articleOps.push({
+        updateOne: {
+          filter: { _id: article.id },
+          update: {
+            $set: { ...article, revision: revision + 1, revisedAt: now },
+          },
+        },
+      });
+      revised.push({
+        id: article.id,
+        revision: revision + 1,
+        changedFields: diff.map((change) => change.field),
+      });
+    });
+
+    // Keep the previous version before replacing it
+    if (revisionOps.length > 0) {
+      await revisions.bulkWrite(revisionOps, { ordered: false });
+    }
+    if (articleOps.length > 0) {
+      await collection.bulkWrite(articleOps, { ordered: false });
+    }
+
+    console.log(
+      `Revised ${revised.length} of ${articles.length} stored articles`
+    );
+    revised.forEach((entry) => {
+      console.log(
+        `- ${entry.id} -> revision ${
+          entry.revision
+        } (${entry.changedFields.join(", ")})`
+      );
+    });
+
+    return {
+      revised,
+      updatedIds: articleOps.map((op) => op.updateOne.filter._id),
+    };
+  } catch (error) {
+    console.error("Error saving article revisions to MongoDB:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get the revision history of an article
+ * @param {string} articleId - Article id (domain/hash)
+ * @param {number} [limit] - Maximum number of revisions to return
+ * @returns {Promise<Object>} - { article, revisions } with the most recent revision first
+ */
+async function getArticleHistory(articleId, limit = 20) {
+  try {
+    const collection = await db.getCollection(
+      config.mongodb.collections.revisions
+    );
+    const articles = await db.getCollection(
+      config.mongodb.collections.articles
+    );
+
+    const article = await articles.findOne(
+      { _id: articleId },
+      {
+        projection: {
+          title: 1,
+          url: 1,
+          contentLength: 1,
+          contentHash: 1,
+          revision: 1,
+          revisedAt: 1,
+        },
+      }
+    );
+
+    const revisions = await collection
+      .find({ articleId })
+      .project({ snapshot: 0 })
+      .sort({ revision: -1 })
+      .limit(limit)
+      .toArray();
+
+    return { article, revisions };
+  } catch (error) {
+    console.error("Error getting article history from MongoDB:", error);
+    return { article: null, revisions: [] };
+  }
+}
+
+module.exports = {
+  saveRevisions,
+  getArticleHistory,
+};
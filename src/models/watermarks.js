@@ -0,0 +1,75 @@
+const db = require("../services/database");
+const config = require("../config");
+
+/**
+ * Get the stored listing watermark for a source
+ * @param {string} sourceId - Source identifier (e.g. s3://bucket)
+ * @returns {Promise<Object|null>} - Watermark with lastModified and key, or null
+ */
+async function getWatermark(sourceId) {
+  try {
+    const collection = await db.getCollection(
+      config.mongodb.collections.watermarks
+    );
+
+    const doc = await collection.findOne({ _id: sourceId });
+    if (!doc || !doc.lastModified) {
+      console.log(`No watermark stored for ${sourceId}`);
+      return null;
+    }
+
+    console.log(
+      `Resuming ${sourceId} from watermark ${doc.lastModified.toISOString()} (${
+        doc.key
+      })`
+    );
+    return {
+      lastModified: doc.lastModified,
+      key: doc.key,
+    };
+  } catch (error) {
+    console.error("Error getting watermark from MongoDB:", error);
+    throw error;
+  }
+}
+
+/**
+ * Save the listing watermark for a source
+ * @param {string} sourceId - Source identifier (e.g. s3://bucket)
+ * @param {Object} watermark - Watermark with lastModified and key
+ * @returns {Promise<boolean>} - Success or failure
+ */
+async function saveWatermark(sourceId, watermark) {
+  try {
+    const collection = await db.getCollection(
+      config.mongodb.collections.watermarks
+    );
+
+    await collection.updateOne(
+      { _id: sourceId },
+      {
+        $set: {
+          lastModified: watermark.lastModified,
+          key: watermark.key,
+          updatedAt: new Date(),
+        },
+      },
+      { upsert: true }
+    );
+
+    console.log(
+      `Saved watermark for ${sourceId}: ${watermark.lastModified.toISOString()} (${
+        watermark.key
+      })`
+    );
+    return true;
+  } catch (error) {
+    console.error("Error saving watermark to MongoDB:", error);
+    return false;
+  }
+}
+
+module.exports = {
+  getWatermark,
+  saveWatermark,
+};
@@ -0,0 +1,111 @@
+const crypto = require("crypto");
+
+// Fields that make up an article's content; a change to any of them is a revision
+const REVISION_FIELDS = [
+  "title",
+  "excerpt",
+  "content",
+  "authors",
+  "datePublished",
+  "dateModified",
+  "section",
+  "keywords",
+  "leadImage",
+];
+
+// Longer string values are cut in the stored diff, the snapshot keeps them whole
+const MAX_DIFF_VALUE_LENGTH = 500;
+
+/**
+ * Normalize a field value so equal content compares (and hashes) equal
+ * Empty arrays and objects count as missing: documents stored before a field
+ * existed don't have it, while new articles default lists to []
+ * @param {*} value - Field value
+ * @returns {*} - Trimmed strings, ISO dates, null for missing or empty values
+ */
+function normalizeValue(value) {
+  if (value === undefined || value === null || value === "") return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "string") return value.trim();
+  if (Array.isArray(value)) return value.length > 0 ? value : null;
+  if (typeof value === "object" && Object.keys(value).length === 0) {
+    return null;
+  }
+  return value;
+}
+
+/**
+ * Compute the content hash of an article
+ * @param {Object} article - Article object (or stored article document)
+ * @returns {string} - SHA-256 hex digest of the revision fields
+ */
+function computeContentHash(article) {
+  const content = REVISION_FIELDS.map((field) => [
+    field,
+    normalizeValue(article[field]),
+  ]);
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify(content))
+    .digest("hex");
+}
+
+/**
+ * Shorten a value for the stored diff
+ * @param {*} value - Normalized field value
+ * @returns {*} - Value, with long strings cut to MAX_DIFF_VALUE_LENGTH
+ */
+function clipValue(value) {
+  return typeof value === "string" && value.length > MAX_DIFF_VALUE_LENGTH
+    ? `${value.slice(0, MAX_DIFF_VALUE_LENGTH)}…`
+    : value;
+}
+
+/**
+ * List the revision fields that differ between two versions of an article
+ * @param {Object} previous - Stored version
+ * @param {Object} current - New version
+ * @returns {Array<Object>} - { field, before, after } per changed field; string fields also carry beforeLength and afterLength
+ */
+function diffArticles(previous, current) {
+  const changes = [];
+
+  REVISION_FIELDS.forEach((field) => {
+    const before = normalizeValue(previous[field]);
+    const after = normalizeValue(current[field]);
+    if (JSON.stringify(before) === JSON.stringify(after)) return;
+
+    const change = {
+      field,
+      before: clipValue(before),
+      after: clipValue(after),
+    };
+    if (typeof before === "string" || typeof after === "string") {
+      change.beforeLength = typeof before === "string" ? before.length : 0;
+      change.afterLength = typeof after === "string" ? after.length : 0;
+    }
+    changes.push(change);
+  });
+
+  return changes;
+}
+
+/**
+ * Copy the revision fields of an article
+ * @param {Object} article - Article object (or stored article document)
+ * @returns {Object} - Snapshot of the revision fields
+ */
+function snapshotArticle(article) {
+  const snapshot = {};
+  REVISION_FIELDS.forEach((field) => {
+    snapshot[field] = article[field] ?? null;
+  });
+  return snapshot;
+}
+
+module.exports = {
+  REVISION_FIELDS,
+  computeContentHash,
+  diffArticles,
+  snapshotArticle,
+};
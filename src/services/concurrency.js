@@ -0,0 +1,110 @@
+const config = require("../config");
+
+// Error codes that indicate throttling or a transient network/service failure
+const RETRYABLE_ERROR_CODES = [
+  "SlowDown",
+  "Throttling",
+  "ThrottlingException",
+  "TooManyRequestsException",
+  "RequestLimitExceeded",
+  "RequestTimeout",
+  "RequestTimeoutException",
+  "ServiceUnavailable",
+  "InternalError",
+  "NetworkingError",
+  "TimeoutError",
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "EPIPE",
+  "EAI_AGAIN",
+];
+
+/**
+ * Check whether an error is worth retrying
+ * @param {Error} error - Error thrown by a source operation
+ * @returns {boolean} - Whether the operation should be retried
+ */
+function isRetryableError(error) {
+  if (!error) return false;
+  if (error.retryable === true) return true;
+  if (RETRYABLE_ERROR_CODES.includes(error.code)) return true;
+
+  const status = error.statusCode;
+  return status === 429 || (status >= 500 && status < 600);
+}
+
+/**
+ * Delay before the next attempt: exponential backoff with full jitter
+ * @param {number} attempt - Number of the attempt that just failed (1-based)
+ * @param {Object} options - Backoff options
+ * @returns {number} - Delay in milliseconds
+ */
+function getBackoffDelay(attempt, options = {}) {
+  const baseDelayMs = options.baseDelayMs ?? config.downloads.baseDelayMs;
+  const maxDelayMs = options.maxDelayMs ?? config.downloads.maxDelayMs;
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.floor(Math.random() * ceiling);
+}
+
+/**
+ * Run an async operation, retrying transient failures with exponential backoff
+ * @param {Function} operation - Async function to run
+ * @param {Object} [options] - Retry options
+ * @param {number} [options.maxAttempts] - Maximum number of attempts
+ * @param {number} [options.baseDelayMs] - Backoff base delay
+ * @param {number} [options.maxDelayMs] - Backoff delay cap
+ * @returns {Promise<Object>} - { value, attempts } on success
+ * @throws {Error} - Last error, with an `attempts` property
+ */
+async function retryWithBackoff(operation, options = {}) {
+  const maxAttempts = options.maxAttempts ?? config.downloads.maxAttempts;
+  let attempt = 0;
+
+  while (true) {
+    attempt++;
+    try {
+      const value = await operation();
+      return { value, attempts: attempt };
+    } catch (error) {
+      if (attempt >= maxAttempts || !isRetryableError(error)) {
+        error.attempts = attempt;
+        throw error;
+      }
+
+      const delay = getBackoffDelay(attempt, options);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Run a worker over items with bounded concurrency
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of workers running at once
+ * @param {Function} worker - Async function called with (item, index)
+ * @returns {Promise<Array>} - Worker results, in item order
+ */
+async function runWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  async function runNext() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workerCount }, runNext));
+
+  return results;
+}
+
+module.exports = {
+  isRetryableError,
+  getBackoffDelay,
+  retryWithBackoff,
+  runWithConcurrency,
+};
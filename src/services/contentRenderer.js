@@ -0,0 +1,259 @@
+const { JSDOM } = require("jsdom");
+const createDOMPurify = require("dompurify");
+const TurndownService = require("turndown");
+const config = require("../config");
+
+// One shared window is enough for sanitizing, it never loads the article
+const { window } = new JSDOM("");
+const DOMPurify = createDOMPurify(window);
+
+// Structural tags kept in the stored HTML
+const ALLOWED_TAGS = [
+  "p",
+  "br",
+  "hr",
+  "div",
+  "span",
+  "section",
+  "article",
+  "h1",
+  "h2",
+  "h3",
+  "h4",
+  "h5",
+  "h6",
+  "ul",
+  "ol",
+  "li",
+  "dl",
+  "dt",
+  "dd",
+  "blockquote",
+  "pre",
+  "code",
+  "strong",
+  "b",
+  "em",
+  "i",
+  "u",
+  "s",
+  "sub",
+  "sup",
+  "mark",
+  "small",
+  "a",
+  "img",
+  "figure",
+  "figcaption",
+  "picture",
+  "source",
+  "table",
+  "thead",
+  "tbody",
+  "tfoot",
+  "tr",
+  "th",
+  "td",
+  "caption",
+];
+
+const ALLOWED_ATTR = [
+  "href",
+  "src",
+  "srcset",
+  "alt",
+  "title",
+  "width",
+  "height",
+  "colspan",
+  "rowspan",
+  "datetime",
+  "cite",
+];
+
+// Attributes holding URLs that are made absolute
+const URL_ATTRIBUTES = ["href", "src", "cite"];
+
+const turndown = new TurndownService({
+  headingStyle: "atx",
+  codeBlockStyle: "fenced",
+  bulletListMarker: "-",
+});
+
+/**
+ * Resolve a URL against the page URL, dropping unsafe schemes
+ * @param {string} value - Attribute value
+ * @param {string} baseUrl - Page URL
+ * @returns {string|null} - Absolute URL or null if it should be removed
+ */
+function toAbsoluteUrl(value, baseUrl) {
+  if (!value || value.startsWith("#")) return value;
+  try {
+    const url = new URL(value, baseUrl || undefined);
+    if (!["http:", "https:", "mailto:"].includes(url.protocol)) return null;
+    return url.href;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Make URL attributes (and srcset candidates) absolute
+ * @param {Element} container - Element holding the sanitized content
+ * @param {string} baseUrl - Page URL
+ */
+function absolutizeUrls(container, baseUrl) {
+  URL_ATTRIBUTES.forEach((attribute) => {
+    container.querySelectorAll(`[${attribute}]`).forEach((element) => {
+      const url = toAbsoluteUrl(element.getAttribute(attribute), baseUrl);
+      if (url) {
+        element.setAttribute(attribute, url);
+      } else {
+        element.removeAttribute(attribute);
+      }
+    });
+  });
+
+  container.querySelectorAll("[srcset]").forEach((element) => {
+    const srcset = element
+      .getAttribute("srcset")
+      .split(",")
+      .map((candidate) => {
+        const [url, ...descriptor] = candidate.trim().split(/\s+/);
+        const absolute = toAbsoluteUrl(url, baseUrl);
+        return absolute ? [absolute, ...descriptor].join(" ") : null;
+      })
+      .filter(Boolean)
+      .join(", ");
+    element.setAttribute("srcset", srcset);
+  });
+}
+
+/**
+ * Length of a node once serialized to HTML
+ * @param {Node} node - Element or text node
+ * @returns {number} - Serialized length
+ */
+function getHtmlLength(node) {
+  if (node.nodeType === node.ELEMENT_NODE) return node.outerHTML.length;
+  return escapeText(node.textContent || "").length;
+}
+
+/**
+ * Escape text the way innerHTML serializes it
+ * @param {string} text - Text content
+ * @returns {string} - Escaped text
+ */
+function escapeText(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/\u00a0/g, "&nbsp;");
+}
+
+/**
+ * Cut text so its serialized form fits, preferring a word boundary
+ * @param {string} text - Text content
+ * @param {number} maxLength - Maximum serialized length
+ * @returns {string} - Text prefix
+ */
+function cutText(text, maxLength) {
+  let length = 0;
+  let end = 0;
+  while (end < text.length) {
+    const charLength = escapeText(text[end]).length;
+    if (length + charLength > maxLength) break;
+    length += charLength;
+    end++;
+  }
+  const cut = text.slice(0, end);
+  const space = cut.lastIndexOf(" ");
+  return space > cut.length / 2 ? cut.slice(0, space) : cut;
+}
+
+/**
+ * Keep whole nodes while the HTML stays under the size limit
+ * The node that crosses the limit is truncated in turn (its children, or its
+ * text), so a single oversized block still leaves a prefix of the content.
+ * @param {Element} container - Element holding the sanitized content
+ * @param {number} maxLength - Maximum HTML length
+ * @returns {boolean} - Whether content had to be dropped
+ */
+function truncateNodes(container, maxLength) {
+  if (container.innerHTML.length <= maxLength) return false;
+
+  let length = 0;
+  let truncated = false;
+  Array.from(container.childNodes).forEach((node) => {
+    if (truncated) {
+      node.remove();
+      return;
+    }
+
+    const nodeLength = getHtmlLength(node);
+    if (length + nodeLength <= maxLength) {
+      length += nodeLength;
+      return;
+    }
+
+    truncated = true;
+    const remaining = maxLength - length;
+    if (node.nodeType === node.ELEMENT_NODE) {
+      // Room left for the children once the tags themselves are counted
+      const tagsLength = node.outerHTML.length - node.innerHTML.length;
+      if (remaining > tagsLength) {
+        truncateNodes(node, remaining - tagsLength);
+        if (node.textContent.trim()) return;
+      }
+    } else if (node.nodeType === node.TEXT_NODE && remaining > 0) {
+      node.textContent = cutText(node.textContent, remaining);
+      if (node.textContent.trim()) return;
+    }
+    node.remove();
+  });
+
+  return truncated;
+}
+
+/**
+ * Sanitize extracted article HTML and convert it to Markdown
+ * Scripts, styles, inline event handlers and unknown attributes are removed,
+ * URLs are made absolute against the page URL, and both renditions are kept
+ * under the configured size limits (content is dropped from the end)
+ * @param {string} html - Article HTML (e.g. Readability `content`)
+ * @param {string} baseUrl - Page URL used to resolve relative URLs
+ * @returns {Object} - { html, markdown, truncated }
+ */
+function renderContent(html, baseUrl) {
+  if (!html) return { html: "", markdown: "", truncated: false };
+
+  const container = DOMPurify.sanitize(html, {
+    ALLOWED_TAGS,
+    ALLOWED_ATTR,
+    ALLOW_DATA_ATTR: false,
+    RETURN_DOM: true,
+  });
+
+  absolutizeUrls(container, baseUrl);
+  let truncated = truncateNodes(container, config.content.maxHtmlLength);
+
+  const sanitizedHtml = container.innerHTML.trim();
+  let markdown = turndown.turndown(sanitizedHtml);
+
+  if (markdown.length > config.content.maxMarkdownLength) {
+    // Cut at the last paragraph break that fits
+    const cut = markdown.lastIndexOf("\n\n", config.content.maxMarkdownLength);
+    markdown = markdown.slice(
+      0,
+      cut > 0 ? cut : config.content.maxMarkdownLength
+    );
+    truncated = true;
+  }
+
+  return { html: sanitizedHtml, markdown: markdown.trim(), truncated };
+}
+
+module.exports = {
+  renderContent,
+};
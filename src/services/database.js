@@ -1,28 +1,113 @@
 const { MongoClient } = require("mongodb");
 const config = require("../config");
 
+// Shared client, created on first use and reused by every model
+let client = null;
+let connecting = null;
+
+/**
+ * Hide the password of a MongoDB connection string
+ * @param {string} uri - Connection string
+ * @returns {string} - Connection string with the password replaced by ***
+ */
+function redactUri(uri) {
+  return (uri || "").replace(
+    /^(mongodb(?:\+srv)?:\/\/)([^@/]+)@/,
+    (match, scheme, credentials) => {
+      const user = credentials.split(":")[0];
+      return `${scheme}${user}:***@`;
+    }
+  );
+}
+
 /**
- * Connect to MongoDB
+ * Get the shared MongoDB client, connecting on first use
+ * Concurrent callers share one connection attempt; a failed attempt is
+ * forgotten so the next call tries again.
+ * @returns {Promise<MongoClient>} - Connected client
+ */
+async function getClient() {
+  if (client) return client;
+
+  if (!connecting) {
+    connecting = (async () => {
+      const uri = redactUri(config.mongodb.uri);
+      const newClient = new MongoClient(config.mongodb.uri, {
+        maxPoolSize: config.mongodb.pool.maxPoolSize,
+        minPoolSize: config.mongodb.pool.minPoolSize,
+        maxIdleTimeMS: config.mongodb.pool.maxIdleTimeMs,
+        serverSelectionTimeoutMS: config.mongodb.pool.serverSelectionTimeoutMs,
+      });
+      try {
+        console.log(`Connecting to MongoDB at ${uri}...`);
+        await newClient.connect();
+        console.log(
+          `Connected to MongoDB (pool size ${config.mongodb.pool.minPoolSize}-${config.mongodb.pool.maxPoolSize})`
+        );
+        client = newClient;
+        return client;
+      } catch (error) {
+        console.error(`Error connecting to MongoDB at ${uri}:`, error.message);
+        await newClient.close().catch(() => {});
+        throw error;
+      } finally {
+        connecting = null;
+      }
+    })();
+  }
+
+  return connecting;
+}
+
+/**
+ * Get a collection on the shared client
  * @param {string} [collectionName=config.mongodb.collections.articles] - Collection name to use
- * @returns {Promise<{client: MongoClient, collection: Collection}>} MongoDB client and collection
+ * @returns {Promise<Collection>} - MongoDB collection
+ */
+async function getCollection(
+  collectionName = config.mongodb.collections.articles
+) {
+  const connected = await getClient();
+  return connected.db(config.mongodb.dbName).collection(collectionName);
+}
+
+/**
+ * Check whether an error means the connection to MongoDB is lost
+ * @param {Error} error - Error thrown by a database operation
+ * @returns {boolean} - Whether the client should be replaced
  */
-async function connect(collectionName = config.mongodb.collections.articles) {
-  try {
-    console.log(`Connecting to MongoDB at ${config.mongodb.uri}...`);
-    const client = new MongoClient(config.mongodb.uri);
-    await client.connect();
-    console.log("Connected to MongoDB");
-
-    const db = client.db(config.mongodb.dbName);
-    const collection = db.collection(collectionName);
-
-    return { client, collection };
-  } catch (error) {
-    console.error("Error connecting to MongoDB:", error);
-    throw error;
+function isConnectionError(error) {
+  return (
+    !!error &&
+    [
+      "MongoNetworkError",
+      "MongoServerSelectionError",
+      "MongoNotConnectedError",
+      "MongoTopologyClosedError",
+    ].includes(error.name)
+  );
+}
+
+/**
+ * Close the shared client; the next call to getCollection reconnects
+ * @returns {Promise<void>}
+ */
+async function close() {
+  // Let a pending connection attempt settle so it isn't left open
+  if (connecting) {
+    await connecting.catch(() => {});
+  }
+  const current = client;
+  client = null;
+  if (current) {
+    await current.close();
+    console.log("MongoDB connection closed");
   }
 }
 
 module.exports = {
-  connect,
+  redactUri,
+  getCollection,
+  isConnectionError,
+  close,
 };
@@ -0,0 +1,178 @@
+const fs = require("fs");
+const path = require("path");
+const config = require("../config");
+const { buildArticle } = require("./extractors/common");
+
+// Readability options a rule may override
+const READABILITY_OPTIONS = [
+  "charThreshold",
+  "nbTopCandidates",
+  "maxElemsToParse",
+  "classesToPreserve",
+  "keepClasses",
+  "disableJSONLD",
+  "linkDensityModifier",
+];
+
+let cachedRules = null;
+
+/**
+ * Load the per-domain rules file (cached after the first call)
+ * @returns {Object} - Rules keyed by domain
+ */
+function loadRules() {
+  if (cachedRules) return cachedRules;
+
+  const rulesFile = path.resolve(config.extraction.domainRulesFile);
+  try {
+    cachedRules = JSON.parse(fs.readFileSync(rulesFile, "utf8"));
+    console.log(
+      `Loaded extraction rules for ${
+        Object.keys(cachedRules).length
+      } domains from ${rulesFile}`
+    );
+  } catch (error) {
+    console.error(
+      `Error loading domain rules from ${rulesFile}:`,
+      error.message
+    );
+    cachedRules = {};
+  }
+
+  return cachedRules;
+}
+
+/**
+ * Find the rules for a host, falling back to parent domains
+ * (www.news.example.com -> news.example.com -> example.com)
+ * @param {string} host - Host name or crawled domain
+ * @returns {Object|null} - Rules for the domain or null
+ */
+function getRulesForHost(host) {
+  if (!host) return null;
+
+  const rules = loadRules();
+  const parts = host.toLowerCase().split(".");
+
+  for (let i = 0; i < parts.length - 1; i++) {
+    const candidate = parts.slice(i).join(".");
+    if (rules[candidate]) return rules[candidate];
+  }
+
+  return null;
+}
+
+/**
+ * Pick the Readability options a rule overrides
+ * @param {Object|null} rules - Domain rules
+ * @returns {Object} - Readability options
+ */
+function getReadabilityOptions(rules) {
+  const options = {};
+  if (!rules || !rules.readability) return options;
+
+  READABILITY_OPTIONS.forEach((key) => {
+    if (rules.readability[key] !== undefined) {
+      options[key] = rules.readability[key];
+    }
+  });
+
+  return options;
+}
+
+/**
+ * Remove the elements listed in removeSelectors from the document
+ * @param {Document} document - DOM document
+ * @param {Object} rules - Domain rules
+ */
+function removeElements(document, rules) {
+  (rules.removeSelectors || []).forEach((selector) => {
+    try {
+      document
+        .querySelectorAll(selector)
+        .forEach((element) => element.remove());
+    } catch (error) {
+      console.error(`Invalid remove selector "${selector}":`, error.message);
+    }
+  });
+}
+
+/**
+ * Query the first element matching a selector, ignoring invalid selectors
+ * @param {Document} document - DOM document
+ * @param {string} selector - CSS selector
+ * @returns {Element|null} - Matching element
+ */
+function queryFirst(document, selector) {
+  if (!selector) return null;
+  try {
+    return document.querySelector(selector);
+  } catch (error) {
+    console.error(`Invalid selector "${selector}":`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Read the title configured by titleSelector
+ * @param {Document} document - DOM document
+ * @param {Object} rules - Domain rules
+ * @returns {string|null} - Title or null
+ */
+function extractTitle(document, rules) {
+  const element = queryFirst(document, rules.titleSelector);
+  const title = element ? element.textContent.trim() : "";
+  return title || null;
+}
+
+/**
+ * Read the publication date configured by dateSelector
+ * Uses the datetime or content attribute when present, else the text
+ * @param {Document} document - DOM document
+ * @param {Object} rules - Domain rules
+ * @returns {Date|null} - Publication date or null
+ */
+function extractDate(document, rules) {
+  const element = queryFirst(document, rules.dateSelector);
+  if (!element) return null;
+
+  const value =
+    element.getAttribute("datetime") ||
+    element.getAttribute("content") ||
+    element.textContent.trim();
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Extract the article body configured by bodySelector
+ * All matching elements are joined in document order
+ * @param {Document} document - DOM document
+ * @param {Object} rules - Domain rules
+ * @returns {Object|null} - Article shaped like a Readability result, or null
+ */
+function extractBody(document, rules) {
+  if (!rules.bodySelector) return null;
+
+  let elements;
+  try {
+    elements = Array.from(document.querySelectorAll(rules.bodySelector));
+  } catch (error) {
+    console.error(
+      `Invalid body selector "${rules.bodySelector}":`,
+      error.message
+    );
+    return null;
+  }
+  return buildArticle(document, elements, extractTitle(document, rules));
+}
+
+module.exports = {
+  loadRules,
+  getRulesForHost,
+  getReadabilityOptions,
+  removeElements,
+  extractTitle,
+  extractDate,
+  extractBody,
+};
@@ -0,0 +1,184 @@
+const zlib = require("zlib");
+const iconv = require("iconv-lite");
+const chardet = require("chardet");
+
+// Byte order marks, checked before anything else
+const BOMS = [
+  { bytes: [0xef, 0xbb, 0xbf], encoding: "utf-8" },
+  { bytes: [0xff, 0xfe], encoding: "utf-16le" },
+  { bytes: [0xfe, 0xff], encoding: "utf-16be" },
+];
+
+// Labels browsers decode as a superset (per the WHATWG Encoding standard)
+const LABEL_ALIASES = {
+  "iso-8859-1": "windows-1252",
+  latin1: "windows-1252",
+  "us-ascii": "windows-1252",
+  ascii: "windows-1252",
+  "iso-8859-9": "windows-1254",
+  "x-cp1251": "windows-1251",
+  utf8: "utf-8",
+  "x-sjis": "shift_jis",
+};
+
+// How much of the document is scanned for a <meta> charset declaration
+const META_PRESCAN_BYTES = 4096;
+
+/**
+ * Normalize an encoding label, returning null when it can't be decoded
+ * @param {string} label - Encoding label (e.g. "UTF-8", "cp1251", "latin1")
+ * @returns {string|null} - Lower-case encoding name or null if unsupported
+ */
+function normalizeEncoding(label) {
+  if (!label) return null;
+  const name = label
+    .trim()
+    .toLowerCase()
+    .replace(/^["']|["']$/g, "");
+  const encoding = LABEL_ALIASES[name] || name;
+  return iconv.encodingExists(encoding) ? encoding : null;
+}
+
+/**
+ * Read the charset parameter of a Content-Type value
+ * @param {string} contentType - e.g. "text/html; charset=windows-1251"
+ * @returns {string|null} - Charset label or null
+ */
+function getContentTypeCharset(contentType) {
+  const match = /charset\s*=\s*["']?([\w:.-]+)/i.exec(contentType || "");
+  return match ? match[1] : null;
+}
+
+/**
+ * Find a <meta charset> or http-equiv Content-Type declaration
+ * @param {Buffer} buffer - Raw document bytes
+ * @returns {string|null} - Charset label or null
+ */
+function getMetaCharset(buffer) {
+  const head = buffer.subarray(0, META_PRESCAN_BYTES).toString("latin1");
+  const metas = head.match(/<meta\b[^>]*>/gi) || [];
+
+  for (const meta of metas) {
+    const charset =
+      /\bcharset\s*=\s*["']?\s*([\w:.-]+)/i.exec(meta) ||
+      /\bcontent\s*=\s*["'][^"']*charset\s*=\s*([\w:.-]+)/i.exec(meta);
+    if (charset) return charset[1];
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a buffer is valid UTF-8
+ * @param {Buffer} buffer - Raw bytes
+ * @returns {boolean} - Whether it decodes as UTF-8 without errors
+ */
+function isValidUtf8(buffer) {
+  try {
+    new TextDecoder("utf-8", { fatal: true }).decode(buffer);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Detect the character encoding of a document
+ * Order: byte order mark, Content-Type charset, <meta> declaration, then a
+ * statistical guess (valid UTF-8 is taken as UTF-8, otherwise chardet)
+ * @param {Buffer} buffer - Raw document bytes
+ * @param {string} [contentType] - Content-Type of the stored object
+ * @returns {Object} - { encoding, source, bomLength }
+ */
+function detectEncoding(buffer, contentType) {
+  const bom = BOMS.find(({ bytes }) =>
+    bytes.every((byte, index) => buffer[index] === byte)
+  );
+  if (bom) {
+    return {
+      encoding: bom.encoding,
+      source: "bom",
+      bomLength: bom.bytes.length,
+    };
+  }
+
+  const declared = [
+    ["content-type", normalizeEncoding(getContentTypeCharset(contentType))],
+    ["meta", normalizeEncoding(getMetaCharset(buffer))],
+  ].find(([, encoding]) => encoding);
+  if (declared) {
+    return { encoding: declared[1], source: declared[0], bomLength: 0 };
+  }
+
+  if (isValidUtf8(buffer)) {
+    return { encoding: "utf-8", source: "statistical", bomLength: 0 };
+  }
+
+  const guessed = normalizeEncoding(chardet.detect(buffer));
+  return {
+    encoding: guessed || "windows-1252",
+    source: guessed ? "statistical" : "default",
+    bomLength: 0,
+  };
+}
+
+/**
+ * Decompress a gzip or brotli body
+ * Compression is recognised from the Content-Encoding, a .gz/.br key suffix
+ * or the gzip magic bytes
+ * @param {Buffer} buffer - Raw object bytes
+ * @param {Object} [options] - Object details
+ * @param {string} [options.key] - Object key
+ * @param {string} [options.contentEncoding] - Content-Encoding of the stored object
+ * @returns {Object} - { buffer, compression } with compression "gzip", "br" or null
+ */
+function decompress(buffer, options = {}) {
+  const contentEncoding = (options.contentEncoding || "").toLowerCase();
+  const key = options.key || "";
+
+  if (
+    contentEncoding.includes("br") ||
+    (key.endsWith(".br") && !contentEncoding)
+  ) {
+    return { buffer: zlib.brotliDecompressSync(buffer), compression: "br" };
+  }
+
+  const hasGzipMagic = buffer[0] === 0x1f && buffer[1] === 0x8b;
+  if (contentEncoding.includes("gzip") || key.endsWith(".gz") || hasGzipMagic) {
+    return { buffer: zlib.gunzipSync(buffer), compression: "gzip" };
+  }
+
+  return { buffer, compression: null };
+}
+
+/**
+ * Turn a stored object body into text
+ * The body is decompressed when needed, then decoded with the detected encoding
+ * @param {Buffer} body - Raw object bytes
+ * @param {Object} [options] - Object details
+ * @param {string} [options.key] - Object key
+ * @param {string} [options.contentType] - Content-Type of the stored object
+ * @param {string} [options.contentEncoding] - Content-Encoding of the stored object
+ * @returns {Object} - { text, encoding, encodingSource, compression }
+ */
+function decodeBody(body, options = {}) {
+  const { buffer, compression } = decompress(body, options);
+  const detected = detectEncoding(buffer, options.contentType);
+  const text = iconv.decode(
+    buffer.subarray(detected.bomLength),
+    detected.encoding
+  );
+
+  return {
+    text,
+    encoding: detected.encoding,
+    encodingSource: detected.source,
+    compression,
+  };
+}
+
+module.exports = {
+  detectEncoding,
+  decompress,
+  decodeBody,
+};
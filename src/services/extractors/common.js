@@ -0,0 +1,123 @@
+// Elements that never hold article text
+const BOILERPLATE_SELECTORS = [
+  "script",
+  "style",
+  "noscript",
+  "template",
+  "iframe",
+  "form",
+  "nav",
+  "header",
+  "footer",
+  "aside",
+  "[role=navigation]",
+  "[role=banner]",
+  "[role=contentinfo]",
+  "[aria-hidden=true]",
+];
+
+/**
+ * Clone a document so an extractor can modify it freely
+ * @param {Document} document - DOM document
+ * @returns {Document} - Deep copy of the document
+ */
+function cloneDocument(document) {
+  return document.cloneNode(true);
+}
+
+/**
+ * Clone a document and strip elements that never hold article text
+ * @param {Document} document - DOM document
+ * @returns {Document} - Cleaned copy of the document
+ */
+function cleanClone(document) {
+  const clone = cloneDocument(document);
+  clone
+    .querySelectorAll(BOILERPLATE_SELECTORS.join(","))
+    .forEach((element) => element.remove());
+  return clone;
+}
+
+/**
+ * Normalize whitespace in extracted text
+ * @param {string} text - Raw text
+ * @returns {string} - Text with collapsed whitespace
+ */
+function normalizeText(text) {
+  return (text || "").replace(/[ \t\r\f\v]+/g, " ").trim();
+}
+
+/**
+ * Total length of link text inside an element
+ * @param {Element} element - DOM element
+ * @returns {number} - Link text length
+ */
+function getLinkTextLength(element) {
+  return Array.from(element.querySelectorAll("a")).reduce(
+    (sum, link) => sum + normalizeText(link.textContent).length,
+    0
+  );
+}
+
+/**
+ * Share of an element's text that sits inside links
+ * @param {Element} element - DOM element
+ * @returns {number} - Link density between 0 and 1
+ */
+function getLinkDensity(element) {
+  const textLength = normalizeText(element.textContent).length;
+  if (textLength === 0) return 0;
+  return Math.min(1, getLinkTextLength(element) / textLength);
+}
+
+/**
+ * Build an article object shaped like a Readability result from elements
+ * @param {Document} document - DOM document the elements belong to
+ * @param {Array<Element>} elements - Elements holding the article body, in order
+ * @param {string} [title] - Title override
+ * @returns {Object|null} - Article or null if there are no elements
+ */
+function buildArticle(document, elements, title) {
+  if (!elements || elements.length === 0) return null;
+
+  const content = elements.map((element) => element.outerHTML).join("\n");
+  const textContent = elements
+    .map((element) => normalizeText(element.textContent))
+    .filter(Boolean)
+    .join("\n\n");
+
+  const firstParagraph = elements
+    .map((element) =>
+      element.tagName === "P" ? element : element.querySelector("p")
+    )
+    .find((p) => p && normalizeText(p.textContent));
+  const description = document
+    .querySelector('meta[name="description"]')
+    ?.getAttribute("content");
+  const heading = document.querySelector("h1");
+
+  return {
+    title:
+      title ||
+      normalizeText(heading?.textContent) ||
+      normalizeText(document.title) ||
+      "",
+    byline: null,
+    dir: null,
+    lang: document.documentElement.getAttribute("lang"),
+    content,
+    textContent,
+    length: textContent.length,
+    excerpt: normalizeText(description || firstParagraph?.textContent || ""),
+    siteName: null,
+    publishedTime: null,
+  };
+}
+
+module.exports = {
+  cloneDocument,
+  cleanClone,
+  normalizeText,
+  getLinkDensity,
+  buildArticle,
+};
@@ -0,0 +1,67 @@
+const config = require("../../config");
+const { scoreArticle } = require("./scoring");
+const rules = require("./rules");
+const readability = require("./readability");
+const textDensity = require("./textDensity");
+const paragraphHarvest = require("./paragraphHarvest");
+
+// Extractors in the order they are tried
+const EXTRACTORS = [rules, readability, textDensity, paragraphHarvest];
+
+/**
+ * Run the extractor chain and keep the best scoring candidate
+ * Extractors run in order until one produces at least minContentLength
+ * characters; every candidate produced so far is scored (score x extractor
+ * weight, so fallbacks must clearly beat earlier extractors) and the best wins.
+ * @param {Document} document - DOM document (not modified)
+ * @param {Object} context - Extraction context
+ * @param {Object|null} context.rules - Domain rules
+ * @param {number} [context.minContentLength] - Length that stops the chain (defaults to config)
+ * @returns {Object} - { article, method, score, candidates }
+ */
+function extractBest(document, context = {}) {
+  const candidates = [];
+  const minContentLength =
+    context.minContentLength ?? config.readability.minContentLength;
+
+  for (const extractor of EXTRACTORS) {
+    if (!extractor.applies(context)) continue;
+
+    let article = null;
+    try {
+      article = extractor.extract(document, context);
+    } catch (error) {
+      console.error(`Extractor ${extractor.name} failed:`, error.message);
+    }
+    if (!article || !article.textContent) continue;
+
+    const score = scoreArticle(article, document) * extractor.weight;
+    candidates.push({
+      method: extractor.name,
+      score: Math.round(score * 1000) / 1000,
+      article,
+    });
+
+    // Good enough, no need for the fallbacks
+    if (article.textContent.trim().length >= minContentLength) {
+      break;
+    }
+  }
+
+  const best = candidates.reduce(
+    (top, candidate) => (!top || candidate.score > top.score ? candidate : top),
+    null
+  );
+
+  return {
+    article: best ? best.article : null,
+    method: best ? best.method : null,
+    score: best ? best.score : 0,
+    candidates: candidates.map(({ method, score }) => ({ method, score })),
+  };
+}
+
+module.exports = {
+  EXTRACTORS,
+  extractBest,
+};
@@ -0,0 +1,40 @@
+const {
+  cleanClone,
+  normalizeText,
+  getLinkDensity,
+  buildArticle,
+} = require("./common");
+
+// Paragraphs shorter than this are usually captions, bylines or buttons
+const MIN_PARAGRAPH_LENGTH = 40;
+
+/**
+ * Last-resort extractor: collect every substantial paragraph on the page
+ * (outside navigation and other boilerplate) in document order
+ */
+module.exports = {
+  name: "paragraphHarvest",
+  weight: 0.8,
+
+  applies() {
+    return true;
+  },
+
+  /**
+   * @param {Document} document - DOM document
+   * @returns {Object|null} - Article or null
+   */
+  extract(document) {
+    const clone = cleanClone(document);
+
+    const paragraphs = Array.from(clone.querySelectorAll("p")).filter(
+      (paragraph) =>
+        normalizeText(paragraph.textContent).length >= MIN_PARAGRAPH_LENGTH &&
+        getLinkDensity(paragraph) < 0.5 &&
+        // Nested paragraphs would be counted twice
+        !paragraph.parentElement.closest("p")
+    );
+
+    return buildArticle(clone, paragraphs);
+  },
+};
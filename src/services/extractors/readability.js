@@ -0,0 +1,33 @@
+const { Readability } = require("@mozilla/readability");
+const domainRules = require("../domainRules");
+const { cloneDocument } = require("./common");
+
+/**
+ * Extractor using Mozilla's Readability, with per-domain option overrides
+ */
+module.exports = {
+  name: "readability",
+  weight: 1,
+
+  /**
+   * @param {Object} context - Extraction context
+   * @returns {boolean} - False when the domain rules disable Readability
+   */
+  applies(context) {
+    return !context.rules || context.rules.useReadability !== false;
+  },
+
+  /**
+   * @param {Document} document - DOM document
+   * @param {Object} context - Extraction context
+   * @returns {Object|null} - Article or null
+   */
+  extract(document, context) {
+    // Readability modifies the document it parses, so give it a copy
+    const reader = new Readability(
+      cloneDocument(document),
+      domainRules.getReadabilityOptions(context.rules)
+    );
+    return reader.parse();
+  },
+};
@@ -0,0 +1,26 @@
+const domainRules = require("../domainRules");
+
+/**
+ * Extractor using the per-domain CSS selector rules
+ */
+module.exports = {
+  name: "rules",
+  weight: 1,
+
+  /**
+   * @param {Object} context - Extraction context
+   * @returns {boolean} - Whether the domain has a body selector
+   */
+  applies(context) {
+    return !!(context.rules && context.rules.bodySelector);
+  },
+
+  /**
+   * @param {Document} document - DOM document
+   * @param {Object} context - Extraction context
+   * @returns {Object|null} - Article or null
+   */
+  extract(document, context) {
+    return domainRules.extractBody(document, context.rules);
+  },
+};
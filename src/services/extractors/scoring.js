@@ -0,0 +1,39 @@
+const { normalizeText, getLinkDensity } = require("./common");
+
+// Text length at which the length component of the score saturates
+const TARGET_TEXT_LENGTH = 2000;
+
+// Paragraph count at which the structure component of the score saturates
+const TARGET_PARAGRAPHS = 5;
+
+/**
+ * Score an extracted article between 0 and 1
+ * Rewards long text split into paragraphs and penalizes link-heavy content:
+ *   0.5 * length + 0.25 * paragraphs + 0.25 * (1 - link density)
+ * @param {Object} article - Article shaped like a Readability result
+ * @param {Document} document - Any DOM document, used to parse the content HTML
+ * @returns {number} - Score between 0 and 1
+ */
+function scoreArticle(article, document) {
+  if (!article || !article.textContent) return 0;
+
+  const textLength = normalizeText(article.textContent).length;
+  if (textLength === 0) return 0;
+
+  const container = document.createElement("div");
+  container.innerHTML = article.content || "";
+
+  const paragraphs = Array.from(container.querySelectorAll("p")).filter(
+    (p) => normalizeText(p.textContent).length > 0
+  ).length;
+
+  const lengthScore = Math.min(1, textLength / TARGET_TEXT_LENGTH);
+  const paragraphScore = Math.min(1, paragraphs / TARGET_PARAGRAPHS);
+  const linkScore = 1 - getLinkDensity(container);
+
+  return 0.5 * lengthScore + 0.25 * paragraphScore + 0.25 * linkScore;
+}
+
+module.exports = {
+  scoreArticle,
+};
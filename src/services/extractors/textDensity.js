@@ -0,0 +1,62 @@
+const {
+  cleanClone,
+  normalizeText,
+  getLinkDensity,
+  buildArticle,
+} = require("./common");
+
+// Block elements that may contain the article body
+const CONTAINER_SELECTOR = "article, main, section, div, td";
+
+// Paragraph-like elements whose text counts towards their containers
+const TEXT_SELECTOR = "p, pre, blockquote, li, h2, h3";
+
+/**
+ * Text-density heuristic: every paragraph adds its (non-link) text length to
+ * its parent, and half of it to its grandparent; the block with the highest
+ * total wins. This finds the largest block of running text on the page.
+ */
+module.exports = {
+  name: "textDensity",
+  weight: 0.9,
+
+  applies() {
+    return true;
+  },
+
+  /**
+   * @param {Document} document - DOM document
+   * @returns {Object|null} - Article or null
+   */
+  extract(document) {
+    const clone = cleanClone(document);
+    const scores = new Map();
+
+    clone.querySelectorAll(TEXT_SELECTOR).forEach((element) => {
+      const textLength = normalizeText(element.textContent).length;
+      if (textLength < 25) return;
+
+      const value = textLength * (1 - getLinkDensity(element));
+      const parent = element.parentElement;
+      const grandparent = parent && parent.parentElement;
+
+      if (parent && parent.matches(CONTAINER_SELECTOR)) {
+        scores.set(parent, (scores.get(parent) || 0) + value);
+      }
+      if (grandparent && grandparent.matches(CONTAINER_SELECTOR)) {
+        scores.set(grandparent, (scores.get(grandparent) || 0) + value / 2);
+      }
+    });
+
+    let best = null;
+    let bestScore = 0;
+    scores.forEach((score, element) => {
+      if (score > bestScore) {
+        best = element;
+        bestScore = score;
+      }
+    });
+
+    return best ? buildArticle(clone, [best]) : null;
+  },
+};
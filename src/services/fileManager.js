@@ -1,136 +1,256 @@
-const s3Service = require("./s3");
+const sources = require("./sources");
+const concurrency = require("./concurrency");
+const encoding = require("./encoding");
+const fileProcessor = require("./fileProcessor");
 const config = require("../config");
-const cliProgress = require("cli-progress");
-const colors = require("colors");
 
 /**
- * Reads page.html and metadata from files with specified pattern
- * @param {Array} files - Array of S3 objects
+ * Check whether a file is one of the files we process (HTML or metadata)
+ * @param {string} key - Object key
+ * @returns {boolean} - Whether the file is page.html or metadata.json (possibly compressed)
+ */
+function isHtmlOrMetadata(key) {
+  return fileProcessor.getFileType(key.split("/").pop()) !== null;
+}
+
+/**
+ * Check whether a file was already processed and hasn't been modified since
+ * @param {Object} file - Grouped file with key and lastModified
  * @param {Object} processedFiles - Object tracking already processed files
- * @returns {Promise<Object>} - Object with results and newly processed files
+ * @returns {boolean} - Whether the file can be skipped
+ */
+function isAlreadyProcessed(file, processedFiles) {
+  const lastModified = file.lastModified.toISOString();
+  return !!(
+    processedFiles[file.key] && processedFiles[file.key] === lastModified
+  );
+}
+
+/**
+ * Find the listing entry of the other half of a pair that isn't being downloaded
+ * Falls back to the source when the file wasn't part of this run's listing,
+ * trying the plain file name first and then its compressed variants
+ * @param {Object} group - Group from fileProcessor.groupFilesByHash
+ * @param {string} fileType - "html" or "metadata"
+ * @param {Object} source - Storage source
+ * @returns {Promise<Object|null>} - Grouped file entry, or null if it doesn't exist yet
+ */
+async function findCompanionFile(group, fileType, source) {
+  const listed = group.files.find(
+    (file) => fileProcessor.getFileType(file.filename) === fileType
+  );
+  if (listed) return listed;
+
+  // Build the key from a sibling, keeping the <prefix>/<domain>/<hash>/ part
+  const sibling = group.files[0];
+  const directory = sibling.key.slice(0, sibling.key.lastIndexOf("/"));
+  const baseName =
+    fileType === "html"
+      ? config.files.htmlFileName
+      : config.files.metadataFileName;
+
+  for (const fileName of [
+    baseName,
+    ...fileProcessor.COMPRESSION_SUFFIXES.map((suffix) => baseName + suffix),
+  ]) {
+    const { value: info } = await concurrency.retryWithBackoff(() =>
+      source.stat(`${directory}/${fileName}`)
+    );
+    if (info) {
+      return {
+        key: info.Key,
+        filename: fileName,
+        size: info.Size,
+        lastModified: info.LastModified,
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build a hash group from the files recorded on a stored processed pair
+ * @param {Object} pair - Processed file pair from crawled_processed_files
+ * @returns {Object} - Group shaped like fileProcessor.groupFilesByHash entries
+ */
+function groupFromPair(pair) {
+  const files = [pair.html, pair.metadata]
+    .filter((file) => file && file.path)
+    .map((file) => ({
+      key: file.path,
+      filename: file.path.split("/").pop(),
+      size: file.fileSize,
+      lastModified: new Date(file.lastModified),
+    }));
+
+  return { domain: pair.domain, hash: pair.hash, files };
+}
+
+/**
+ * Find stored incomplete pairs whose missing file now exists in the source
+ * Catches halves that arrived outside the listing window, e.g. a metadata.json
+ * uploaded after the page.html was already processed in an earlier run
+ * @param {Array} pairs - Incomplete pairs from processedFiles.getIncompletePairs
+ * @param {Object} [source] - Storage source to look in (defaults to the configured one)
+ * @returns {Promise<Array>} - Groups holding the stored half and the newly found half
  */
-async function readHtmlAndMetadata(files, processedFiles) {
+async function findCompletedPairs(pairs, source = sources.getSource()) {
+  const groups = await concurrency.runWithConcurrency(
+    pairs,
+    config.downloads.concurrency,
+    async (pair) => {
+      const missingType = pair.html ? "metadata" : "html";
+      const group = groupFromPair(pair);
+      if (group.files.length === 0) return null;
+
+      try {
+        const companion = await findCompanionFile(group, missingType, source);
+        if (!companion) return null;
+        group.files.push(companion);
+        return group;
+      } catch (err) {
+        console.error(
+          `Error looking up ${missingType} file for ${pair.pair_id}:`,
+          err
+        );
+        return null;
+      }
+    }
+  );
+
+  return groups.filter(Boolean);
+}
+
+/**
+ * Reads page.html and metadata of a single hash group, skipping files that
+ * were already processed. When only one half of the pair is new, the other
+ * half is read too, so the pair is always assembled before parsing.
+ * Transient failures are retried with backoff. Bodies are decompressed
+ * (gzip/brotli) and decoded with their detected character encoding.
+ * @param {Object} group - Group from fileProcessor.groupFilesByHash
+ * @param {Object} processedFiles - Object tracking already processed files
+ * @param {Object} [source] - Storage source to read from (defaults to the configured one)
+ * @returns {Promise<Object>} - Object with results, newly processed files and per-file results
+ */
+async function readGroupFiles(
+  group,
+  processedFiles,
+  source = sources.getSource()
+) {
   const results = [];
   const newlyProcessedFiles = {};
   const processingResults = {};
-  let skippedCount = 0;
 
   // Filter files to only those we need to process (HTML and metadata)
-  const filesToProcess = files.filter(
-    (file) =>
-      file.Key.endsWith(`/${config.files.htmlFileName}`) ||
-      file.Key.endsWith(`/${config.files.metadataFileName}`)
+  const filesToProcess = group.files.filter((file) =>
+    isHtmlOrMetadata(file.key)
   );
 
-  // Count how many files we'll actually process (exclude already processed)
-  const filesToDownload = filesToProcess.filter((file) => {
-    const fileKey = file.Key;
-    const lastModified = file.LastModified.toISOString();
-    return !(
-      processedFiles[fileKey] && processedFiles[fileKey] === lastModified
-    );
-  });
-
-  // Create a new progress bar instance
-  const progressBar = new cliProgress.SingleBar({
-    format:
-      colors.cyan("Downloading files |") +
-      "{bar}" +
-      colors.cyan("| {percentage}% || {value}/{total} files || ETA: {eta}s"),
-    barCompleteChar: "\u2588",
-    barIncompleteChar: "\u2591",
-    hideCursor: true,
-  });
+  // Exclude files that were already processed and haven't changed
+  const filesToDownload = filesToProcess.filter(
+    (file) => !isAlreadyProcessed(file, processedFiles)
+  );
+  const skippedCount = filesToProcess.length - filesToDownload.length;
 
+  // Add the other half of the pair when only one half changed
   if (filesToDownload.length > 0) {
-    console.log(`\nDownloading ${filesToDownload.length} files...`);
-    progressBar.start(filesToDownload.length, 0);
-  }
-
-  let processedCount = 0;
-
-  for (const file of filesToProcess) {
-    try {
-      // Check if file is page.html or metadata.json
+    for (const fileType of ["html", "metadata"]) {
       if (
-        file.Key.endsWith(`/${config.files.htmlFileName}`) ||
-        file.Key.endsWith(`/${config.files.metadataFileName}`)
+        filesToDownload.some(
+          (file) => fileProcessor.getFileType(file.filename) === fileType
+        )
       ) {
-        // Check if this file has been processed before and hasn't been modified
-        const fileKey = file.Key;
-        const lastModified = file.LastModified.toISOString();
-
-        if (
-          processedFiles[fileKey] &&
-          processedFiles[fileKey] === lastModified
-        ) {
-          skippedCount++;
-          continue; // Skip this file as it's already been processed
-        }
-
-        // Track processing time
-        const startTime = Date.now();
-        let success = false;
-        let error = null;
-
-        try {
-          const content = await s3Service.getFileContent(fileKey);
-
-          // Mark this file as processed
-          newlyProcessedFiles[fileKey] = lastModified;
-
-          results.push({
-            key: fileKey,
-            type: fileKey.endsWith(`/${config.files.htmlFileName}`)
-              ? "html"
-              : "metadata",
-            lastModified: file.LastModified,
-            content,
-          });
-
-          success = true;
-        } catch (err) {
-          success = false;
-          error = err.message || "Unknown error";
-          console.error(`Error processing file ${fileKey}:`, err);
-        }
-
-        // Record processing result
-        const endTime = Date.now();
-        processingResults[fileKey] = {
-          success,
-          error,
-          processingTimeMs: endTime - startTime,
-          fileSize: file.Size,
-        };
-
-        // Update progress bar
-        processedCount++;
-        if (filesToDownload.length > 0) {
-          progressBar.update(processedCount);
-        }
+        continue;
+      }
+
+      try {
+        const companion = await findCompanionFile(group, fileType, source);
+        if (companion) filesToDownload.push(companion);
+      } catch (err) {
+        console.error(
+          `Error looking up ${fileType} file for ${group.domain}/${group.hash}:`,
+          err
+        );
       }
-    } catch (error) {
-      console.error(`Error processing file ${file.Key}:`, error);
     }
   }
 
-  // Stop the progress bar
-  if (filesToDownload.length > 0) {
-    progressBar.stop();
-  }
+  for (const file of filesToDownload) {
+    const fileKey = file.key;
 
-  console.log(
-    `\nSkipped ${skippedCount} previously processed files that haven't changed`
-  );
+    // Track processing time
+    const startTime = Date.now();
+    let success = false;
+    let error = null;
+    let errorClass = null;
+    let retryable = false;
+    let attempts = 0;
+
+    try {
+      const download = await concurrency.retryWithBackoff(() =>
+        source.readBuffer(fileKey)
+      );
+      attempts = download.attempts;
+
+      // Decompress and decode with the detected character encoding
+      const decoded = encoding.decodeBody(download.value.body, {
+        key: fileKey,
+        contentType: download.value.contentType,
+        contentEncoding: download.value.contentEncoding,
+      });
+
+      // Mark this file as processed
+      newlyProcessedFiles[fileKey] = file.lastModified.toISOString();
+
+      results.push({
+        key: fileKey,
+        type: fileProcessor.getFileType(file.filename),
+        lastModified: file.lastModified,
+        content: decoded.text,
+        encoding: decoded.encoding,
+        encodingSource: decoded.encodingSource,
+        compression: decoded.compression,
+      });
+
+      success = true;
+    } catch (err) {
+      success = false;
+      attempts = err.attempts || 1;
+      error = err.message || "Unknown error";
+      errorClass = err.code || err.name || "Error";
+      retryable = concurrency.isRetryableError(err);
+      console.error(
+        `Error processing file ${fileKey} after ${attempts} attempt(s):`,
+        err
+      );
+    }
+
+    // Record processing result
+    const endTime = Date.now();
+    processingResults[fileKey] = {
+      success,
+      error,
+      errorClass,
+      retryable,
+      attempts,
+      processingTimeMs: endTime - startTime,
+      fileSize: file.size,
+    };
+  }
 
   return {
     results,
     newlyProcessedFiles,
     processingResults,
+    skippedCount,
   };
 }
 
 module.exports = {
-  readHtmlAndMetadata,
+  isHtmlOrMetadata,
+  isAlreadyProcessed,
+  groupFromPair,
+  findCompletedPairs,
+  readGroupFiles,
 };
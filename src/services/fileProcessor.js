@@ -1,4 +1,24 @@
 const config = require("../config");
+const urlNormalizer = require("./urlNormalizer");
+const articleDiff = require("./articleDiff");
+const fingerprint = require("./fingerprint");
+
+// Suffixes of compressed copies (page.html.gz), decompressed when read
+const COMPRESSION_SUFFIXES = [".gz", ".br"];
+
+/**
+ * Get the kind of a crawled file from its name, ignoring compression suffixes
+ * @param {string} filename - File name, e.g. page.html or page.html.gz
+ * @returns {string|null} - "html", "metadata" or null for other files
+ */
+function getFileType(filename) {
+  const suffix = COMPRESSION_SUFFIXES.find((ext) => filename.endsWith(ext));
+  const name = suffix ? filename.slice(0, -suffix.length) : filename;
+
+  if (name === config.files.htmlFileName) return "html";
+  if (name === config.files.metadataFileName) return "metadata";
+  return null;
+}
 
 /**
  * Groups files by their hash directory
@@ -46,11 +66,11 @@ function groupFilesByHash(files) {
 function identifyBrokenLinks(groupedFiles) {
   Object.keys(groupedFiles).forEach((groupKey) => {
     const group = groupedFiles[groupKey];
-    const filenames = group.files.map((file) => file.filename);
+    const fileTypes = group.files.map((file) => getFileType(file.filename));
 
     // Check if this group has page.html but no metadata.json
-    const hasHtml = filenames.includes(config.files.htmlFileName);
-    const hasMetadata = filenames.includes(config.files.metadataFileName);
+    const hasHtml = fileTypes.includes("html");
+    const hasMetadata = fileTypes.includes("metadata");
 
     group.isBroken = hasHtml && !hasMetadata;
     group.isComplete = hasHtml && hasMetadata;
@@ -76,6 +96,11 @@ function getOverallStatus(pair) {
     return "failed";
   }
 
+  // The HTML was crawled but its metadata hasn't arrived yet
+  if (html.status === "success" && metadata.status === "missing") {
+    return "awaiting_metadata";
+  }
+
   if (html.status === "missing" || metadata.status === "missing") {
     return "incomplete";
   }
@@ -95,8 +120,18 @@ function createArticleObject(data) {
   const metadata = require("./parser").extractMetadata(data.metadata);
   if (!metadata) return null;
 
+  const structured = data.parsed.structured || { sources: {} };
+  const media = data.parsed.media || [];
+  const canonical = urlNormalizer.resolveCanonical(metadata.url, structured);
+  const leadMedia = media.find((item) => item.isLead);
+  const fingerprints = fingerprint.computeFingerprints(
+    data.parsed.textContent,
+    data.parsed.pageType || null,
+    config.duplicates.minWords
+  );
+
   // Create article object
-  return {
+  const article = {
     id: `${data.domain}/${data.hash}`,
     domain: data.domain,
     hash: data.hash,
@@ -104,15 +139,49 @@ function createArticleObject(data) {
     excerpt: data.parsed.excerpt || "",
     content: data.parsed.textContent,
     contentLength: data.parsed.textContent.length,
+    contentHtml: data.parsed.sanitizedHtml || "",
+    contentMarkdown: data.parsed.markdown || "",
+    contentTruncated: data.parsed.renditionTruncated || false,
     isPotentiallyEmpty: data.parsed.isPotentiallyEmpty || false,
+    extractionMethod: data.parsed.extractionMethod || "readability",
+    extractionScore: data.parsed.extractionScore ?? null,
+    extractionCandidates: data.parsed.extractionCandidates || [],
+    pageType: data.parsed.pageType || null,
+    pageSignals: data.parsed.pageSignals || [],
+    language: data.parsed.language || null,
+    languageSource: data.parsed.languageSource || null,
     url: metadata.url || "",
     crawl_time: metadata.crawl_time || "",
     crawl_datetime: metadata.crawl_datetime || null,
     depth: metadata.depth || "",
+    authors: structured.authors || [],
+    datePublished: structured.datePublished || null,
+    dateModified: structured.dateModified || null,
+    section: structured.section || null,
+    keywords: structured.keywords || [],
+    leadImage: structured.image || leadMedia?.url || null,
+    media,
+    links: data.parsed.links || [],
+    canonicalUrl: canonical.canonicalUrl,
+    ampUrl: structured.ampUrl || null,
+    encoding: data.encoding?.encoding || null,
+    encodingSource: data.encoding?.source || null,
+    compression: data.encoding?.compression || null,
+    canonicalKey: canonical.canonicalKey,
+    urlVariants: canonical.urlVariants,
+    metadataSources: structured.sources,
+    ...fingerprints,
   };
+
+  // Compared with the stored article of the same id: when a group is
+  // processed again and the hash differs, the stored version becomes a revision
+  article.contentHash = articleDiff.computeContentHash(article);
+  return article;
 }
 
 module.exports = {
+  COMPRESSION_SUFFIXES,
+  getFileType,
   groupFilesByHash,
   identifyBrokenLinks,
   getOverallStatus,
@@ -0,0 +1,156 @@
+const crypto = require("crypto");
+
+// MinHash signature length, split into bands of rows for indexed lookups.
+// With 16 bands of 4 rows, texts about 50% similar or more share a band.
+const MINHASH_SIZE = 64;
+const MINHASH_BANDS = 16;
+const ROWS_PER_BAND = MINHASH_SIZE / MINHASH_BANDS;
+
+// Words per shingle
+const SHINGLE_SIZE = 3;
+
+// One seed per MinHash permutation, fixed so signatures stay comparable
+const SEEDS = Array.from({ length: MINHASH_SIZE }, (_, index) =>
+  crypto.createHash("md5").update(`minhash:${index}`).digest().readUInt32BE(0)
+);
+
+/**
+ * Normalize text so formatting differences don't change the fingerprints
+ * @param {string} text - Article text
+ * @returns {string} - Lower-case words separated by single spaces
+ */
+function normalizeText(text) {
+  return (text || "")
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+/**
+ * Hash of the normalized text, equal for exact copies
+ * @param {string} text - Article text
+ * @returns {string|null} - SHA-256 hex digest, or null for empty text
+ */
+function computeTextHash(text) {
+  const normalized = normalizeText(text);
+  if (!normalized) return null;
+  return crypto.createHash("sha256").update(normalized).digest("hex");
+}
+
+/**
+ * Permute a 32-bit value (xor with the seed, then the murmur3 finalizer)
+ * @param {number} value - Unsigned 32-bit value
+ * @param {number} seed - Permutation seed
+ * @returns {number} - Unsigned 32-bit value
+ */
+function permute(value, seed) {
+  let hash = (value ^ seed) >>> 0;
+  hash = Math.imul(hash ^ (hash >>> 16), 0x85ebca6b);
+  hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35);
+  return (hash ^ (hash >>> 16)) >>> 0;
+}
+
+/**
+ * Split text into normalized words
+ * @param {string} text - Article text
+ * @returns {Array<string>} - Words
+ */
+function getWords(text) {
+  return normalizeText(text).split(" ").filter(Boolean);
+}
+
+/**
+ * Compute the MinHash signature of a text from its word shingles
+ * @param {string} text - Article text
+ * @param {number} [minWords] - Texts with fewer words get no signature
+ * @returns {Array<number>|null} - MINHASH_SIZE unsigned 32-bit values, or null
+ */
+function computeMinhash(text, minWords = 1) {
+  const words = getWords(text);
+  if (words.length === 0 || words.length < minWords) return null;
+
+  const signature = new Array(MINHASH_SIZE).fill(0xffffffff);
+  const shingleCount = Math.max(1, words.length - SHINGLE_SIZE + 1);
+  for (let i = 0; i < shingleCount; i++) {
+    const shingle = words.slice(i, i + SHINGLE_SIZE).join(" ");
+    const value = crypto
+      .createHash("md5")
+      .update(shingle)
+      .digest()
+      .readUInt32BE(0);
+    for (let j = 0; j < MINHASH_SIZE; j++) {
+      const permuted = permute(value, SEEDS[j]);
+      if (permuted < signature[j]) signature[j] = permuted;
+    }
+  }
+
+  return signature;
+}
+
+/**
+ * Split a MinHash signature into band keys for indexed candidate lookups
+ * @param {Array<number>} signature - Signature from computeMinhash
+ * @returns {Array<string>} - Band keys ("<band>:<hash of its rows>")
+ */
+function getMinhashBands(signature) {
+  if (!signature) return [];
+  return Array.from({ length: MINHASH_BANDS }, (_, band) => {
+    const rows = signature.slice(
+      band * ROWS_PER_BAND,
+      (band + 1) * ROWS_PER_BAND
+    );
+    const digest = crypto
+      .createHash("md5")
+      .update(rows.join(","))
+      .digest("hex")
+      .slice(0, 12);
+    return `${band}:${digest}`;
+  });
+}
+
+/**
+ * Estimate the similarity of two texts from their signatures
+ * @param {Array<number>} a - MinHash signature
+ * @param {Array<number>} b - MinHash signature
+ * @returns {number} - Estimated Jaccard similarity of the shingle sets (0-1)
+ */
+function estimateSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+  const equal = a.filter((value, index) => value === b[index]).length;
+  return equal / a.length;
+}
+
+/**
+ * Compute the fingerprints used for duplicate detection
+ * Pages classified as something else than an article (challenge, consent,
+ * error pages...) and texts shorter than minWords get none: they are the same
+ * on many pages and would all end up in one cluster
+ * @param {string} text - Article text
+ * @param {string|null} pageType - Page classification, null if unclassified
+ * @param {number} minWords - Shortest text that is fingerprinted
+ * @returns {Object} - { textHash, minhash, minhashBands }, empty when skipped
+ */
+function computeFingerprints(text, pageType, minWords) {
+  if (
+    (pageType && pageType !== "article") ||
+    getWords(text).length < Math.max(1, minWords)
+  ) {
+    return { textHash: null, minhash: null, minhashBands: [] };
+  }
+
+  const minhash = computeMinhash(text, minWords);
+  return {
+    textHash: computeTextHash(text),
+    minhash,
+    minhashBands: getMinhashBands(minhash),
+  };
+}
+
+module.exports = {
+  computeFingerprints,
+  computeTextHash,
+  computeMinhash,
+  getMinhashBands,
+  estimateSimilarity,
+};
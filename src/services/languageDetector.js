@@ -0,0 +1,81 @@
+const { detectAll } = require("tinyld");
+const config = require("../config");
+
+// Text detection needs this much text to overrule the declared language
+const MIN_DETECTION_LENGTH = 50;
+
+// Only the start of the text is used, that is plenty for detection
+const MAX_DETECTION_LENGTH = 2000;
+
+// Detections less certain than this fall back to the declared language
+const MIN_ACCURACY = 0.3;
+
+/**
+ * Reduce a language tag to its primary subtag ("en-US" -> "en")
+ * @param {string} tag - BCP 47 language tag or locale (e.g. "pt_BR")
+ * @returns {string|null} - Lower-case language code or null
+ */
+function normalizeLanguage(tag) {
+  if (!tag || typeof tag !== "string") return null;
+  const language = tag.trim().toLowerCase().split(/[-_]/)[0];
+  return /^[a-z]{2,3}$/.test(language) ? language : null;
+}
+
+/**
+ * Read the language declared by the page
+ * @param {Document} document - DOM document
+ * @returns {string|null} - Language code from <html lang> (or xml:lang), or null
+ */
+function getDeclaredLanguage(document) {
+  const html = document.documentElement;
+  if (!html) return null;
+  return normalizeLanguage(
+    html.getAttribute("lang") || html.getAttribute("xml:lang")
+  );
+}
+
+/**
+ * Detect the language of an article
+ * A confident detection from the text wins; short or ambiguous text falls
+ * back to the language declared in <html lang>
+ * @param {string} text - Article text
+ * @param {string|null} declaredLanguage - Language from getDeclaredLanguage
+ * @returns {Object} - { language, source, accuracy }; source is "text", "html" or null
+ */
+function detectLanguage(text, declaredLanguage = null) {
+  const sample = (text || "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, MAX_DETECTION_LENGTH);
+
+  if (sample.length >= MIN_DETECTION_LENGTH) {
+    const [best] = detectAll(sample);
+    if (best && best.accuracy >= MIN_ACCURACY) {
+      return { language: best.lang, source: "text", accuracy: best.accuracy };
+    }
+  }
+
+  if (declaredLanguage) {
+    return { language: declaredLanguage, source: "html", accuracy: null };
+  }
+
+  return { language: null, source: null, accuracy: null };
+}
+
+/**
+ * Get the minimum text length of meaningful content for a language
+ * @param {string|null} language - Language code
+ * @returns {number} - Per-language threshold, or the default minContentLength
+ */
+function getMinContentLength(language) {
+  const thresholds = config.readability.minContentLengthByLanguage;
+  return language && thresholds[language] !== undefined
+    ? thresholds[language]
+    : config.readability.minContentLength;
+}
+
+module.exports = {
+  getDeclaredLanguage,
+  detectLanguage,
+  getMinContentLength,
+};
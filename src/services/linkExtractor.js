@@ -0,0 +1,74 @@
+const urlNormalizer = require("./urlNormalizer");
+
+// Link types stored on articles and in the links collection
+const LINK_TYPES = {
+  INTERNAL: "internal",
+  CROSS_DOMAIN: "cross_domain",
+  EXTERNAL: "external",
+};
+
+/**
+ * Label a link by where it points
+ * @param {string} host - Host of the link
+ * @param {Array<string>} ownDomains - Domains of the linking article
+ * @param {Array<string>} crawledDomains - All domains we crawl
+ * @returns {string} - One of LINK_TYPES
+ */
+function classifyLink(host, ownDomains, crawledDomains) {
+  if (ownDomains.some((domain) => urlNormalizer.isSameSite(host, domain))) {
+    return LINK_TYPES.INTERNAL;
+  }
+  if (crawledDomains.some((domain) => urlNormalizer.isSameSite(host, domain))) {
+    return LINK_TYPES.CROSS_DOMAIN;
+  }
+  return LINK_TYPES.EXTERNAL;
+}
+
+/**
+ * Extract the outbound links of an article body
+ * Links are resolved against the page URL and normalized; links back to the
+ * page itself, non-web links and duplicates are dropped
+ * @param {Document} document - Page document, used to parse the content
+ * @param {string} contentHtml - Extracted article HTML
+ * @param {string} baseUrl - Page (metadata) URL
+ * @param {Object} [options] - Classification options
+ * @param {string} [options.domain] - Crawled domain of the article
+ * @param {Array<string>} [options.crawledDomains] - All domains we crawl
+ * @returns {Array<Object>} - Links with url, host, text and type
+ */
+function extractLinks(document, contentHtml, baseUrl, options = {}) {
+  const pageUrl = urlNormalizer.normalizeUrl(baseUrl);
+  const pageHost = pageUrl ? new URL(pageUrl).hostname : null;
+  const ownDomains = [options.domain, pageHost].filter(Boolean);
+  const crawledDomains = options.crawledDomains || [];
+
+  const container = document.createElement("div");
+  container.innerHTML = contentHtml || "";
+
+  const links = [];
+  const seen = new Set();
+
+  container.querySelectorAll("a[href]").forEach((anchor) => {
+    const url = urlNormalizer.normalizeUrl(
+      anchor.getAttribute("href"),
+      baseUrl
+    );
+    if (!url || url === pageUrl || seen.has(url)) return;
+    seen.add(url);
+
+    const host = new URL(url).hostname;
+    links.push({
+      url,
+      host,
+      text: anchor.textContent.replace(/\s+/g, " ").trim(),
+      type: classifyLink(host, ownDomains, crawledDomains),
+    });
+  });
+
+  return links;
+}
+
+module.exports = {
+  LINK_TYPES,
+  extractLinks,
+};
@@ -0,0 +1,239 @@
+// Attributes lazy-loading scripts use for the real image URL, checked in order
+const LAZY_SRC_ATTRIBUTES = [
+  "data-src",
+  "data-lazy-src",
+  "data-original",
+  "data-url",
+  "src",
+];
+const LAZY_SRCSET_ATTRIBUTES = ["data-srcset", "data-lazy-srcset", "srcset"];
+
+// Embedded video providers, matched on the iframe/embed URL
+const VIDEO_PROVIDERS = [
+  { name: "youtube", pattern: /(youtube(-nocookie)?\.com|youtu\.be)\//i },
+  {
+    name: "facebook",
+    pattern: /facebook\.com\/(plugins\/video|.*\/videos\/)/i,
+  },
+  { name: "vimeo", pattern: /vimeo\.com\//i },
+  { name: "dailymotion", pattern: /(dailymotion\.com|dai\.ly)\//i },
+  { name: "twitter", pattern: /(twitter|x)\.com\/.*\/status\//i },
+  { name: "instagram", pattern: /instagram\.com\/(p|reel|tv)\//i },
+  { name: "tiktok", pattern: /tiktok\.com\//i },
+];
+
+/**
+ * Resolve a URL against the page URL
+ * @param {string} value - Absolute or relative URL
+ * @param {string} baseUrl - Page URL
+ * @returns {string|null} - Absolute http(s) URL or null
+ */
+function toAbsoluteUrl(value, baseUrl) {
+  if (!value || value.trim().startsWith("data:")) return null;
+  try {
+    const url = new URL(value.trim(), baseUrl || undefined);
+    return ["http:", "https:"].includes(url.protocol) ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Parse a srcset attribute into candidates
+ * @param {string} srcset - srcset value
+ * @param {string} baseUrl - Page URL
+ * @returns {Array<Object>} - Candidates with url and descriptor, largest first
+ */
+function parseSrcset(srcset, baseUrl) {
+  if (!srcset) return [];
+
+  return srcset
+    .split(/,\s+/)
+    .map((candidate) => {
+      const [url, descriptor = "1x"] = candidate.trim().split(/\s+/);
+      const size = parseFloat(descriptor) || 1;
+      // Width descriptors (800w) outrank density descriptors (2x)
+      const weight = descriptor.endsWith("w") ? size : size * 1000;
+      return { url: toAbsoluteUrl(url, baseUrl), descriptor, weight };
+    })
+    .filter((candidate) => candidate.url)
+    .sort((a, b) => b.weight - a.weight)
+    .map(({ url, descriptor }) => ({ url, descriptor }));
+}
+
+/**
+ * Read the first non-empty attribute
+ * @param {Element} element - DOM element
+ * @param {Array<string>} attributes - Attribute names in priority order
+ * @returns {string|null} - Attribute value or null
+ */
+function firstAttribute(element, attributes) {
+  for (const attribute of attributes) {
+    const value = element.getAttribute(attribute);
+    if (value && value.trim()) return value.trim();
+  }
+  return null;
+}
+
+/**
+ * Build a media item for an <img>, using <picture> sources and srcset
+ * @param {Element} img - Image element
+ * @param {string} baseUrl - Page URL
+ * @returns {Object|null} - Image media item or null without a usable URL
+ */
+function imageItem(img, baseUrl) {
+  let srcset = parseSrcset(
+    firstAttribute(img, LAZY_SRCSET_ATTRIBUTES),
+    baseUrl
+  );
+
+  // <picture><source srcset> candidates count too
+  const picture = img.closest("picture");
+  if (picture) {
+    picture.querySelectorAll("source").forEach((source) => {
+      srcset = srcset.concat(
+        parseSrcset(firstAttribute(source, LAZY_SRCSET_ATTRIBUTES), baseUrl)
+      );
+    });
+  }
+
+  const src = toAbsoluteUrl(firstAttribute(img, LAZY_SRC_ATTRIBUTES), baseUrl);
+  const url = srcset.length > 0 ? srcset[0].url : src;
+  if (!url) return null;
+
+  const figure = img.closest("figure");
+  const caption = figure?.querySelector("figcaption")?.textContent.trim();
+
+  return {
+    type: "image",
+    url,
+    src,
+    srcset: srcset.map((candidate) => candidate.url),
+    alt: (img.getAttribute("alt") || "").trim() || null,
+    caption: caption || null,
+    width: parseInt(img.getAttribute("width"), 10) || null,
+    height: parseInt(img.getAttribute("height"), 10) || null,
+    isLead: false,
+  };
+}
+
+/**
+ * Build a media item for an embedded video (iframe, embed or <video>)
+ * @param {Element} element - iframe, embed or video element
+ * @param {string} baseUrl - Page URL
+ * @returns {Object|null} - Video media item or null if it isn't a video
+ */
+function videoItem(element, baseUrl) {
+  const tag = element.tagName.toLowerCase();
+  const figure = element.closest("figure");
+  const caption =
+    figure?.querySelector("figcaption")?.textContent.trim() || null;
+
+  if (tag === "video") {
+    const src =
+      element.getAttribute("src") ||
+      element.querySelector("source[src]")?.getAttribute("src");
+    const url = toAbsoluteUrl(src, baseUrl);
+    if (!url) return null;
+
+    return {
+      type: "video",
+      url,
+      provider: "html5",
+      poster: toAbsoluteUrl(element.getAttribute("poster"), baseUrl),
+      caption,
+      isLead: false,
+    };
+  }
+
+  const url = toAbsoluteUrl(
+    firstAttribute(element, ["data-src", "src"]),
+    baseUrl
+  );
+  if (!url) return null;
+
+  const provider = VIDEO_PROVIDERS.find((candidate) =>
+    candidate.pattern.test(url)
+  );
+  if (!provider) return null;
+
+  return {
+    type: "video",
+    url,
+    provider: provider.name,
+    title: (element.getAttribute("title") || "").trim() || null,
+    caption,
+    isLead: false,
+  };
+}
+
+/**
+ * Extract images, captions and embedded videos of an article
+ * Images come from the extracted article content, videos from the whole page
+ * (extractors often drop embeds). The lead image (from structured metadata,
+ * else the first content image) is marked with isLead and listed first.
+ * @param {Document} document - Page document, used for embeds and to parse the content
+ * @param {string} contentHtml - Extracted article HTML
+ * @param {string} baseUrl - Page (metadata) URL used to resolve relative URLs
+ * @param {string|null} leadImageUrl - Lead image from structured metadata
+ * @returns {Array<Object>} - Media items
+ */
+function extractMedia(document, contentHtml, baseUrl, leadImageUrl = null) {
+  const media = [];
+  const seen = new Set();
+
+  const add = (item) => {
+    if (!item || seen.has(item.url)) return;
+    seen.add(item.url);
+    media.push(item);
+  };
+
+  // Images (with figure captions) from the article content
+  const container = document.createElement("div");
+  container.innerHTML = contentHtml || "";
+  container.querySelectorAll("img").forEach((img) => {
+    add(imageItem(img, baseUrl));
+  });
+
+  // Embedded videos anywhere on the page, plus those left in the content
+  [container, document].forEach((root) => {
+    root.querySelectorAll("iframe, embed, video").forEach((element) => {
+      add(videoItem(element, baseUrl));
+    });
+  });
+
+  // Mark the lead image, adding it when the content doesn't include it
+  const images = media.filter((item) => item.type === "image");
+  let lead = leadImageUrl
+    ? images.find((item) =>
+        [item.url, item.src, ...item.srcset].includes(leadImageUrl)
+      )
+    : images[0];
+
+  if (!lead && leadImageUrl) {
+    lead = {
+      type: "image",
+      url: leadImageUrl,
+      src: leadImageUrl,
+      srcset: [],
+      alt: null,
+      caption: null,
+      width: null,
+      height: null,
+      isLead: false,
+    };
+    media.push(lead);
+  }
+
+  if (lead) {
+    lead.isLead = true;
+    media.splice(media.indexOf(lead), 1);
+    media.unshift(lead);
+  }
+
+  return media;
+}
+
+module.exports = {
+  extractMedia,
+};
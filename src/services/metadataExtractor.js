@@ -0,0 +1,369 @@
+/**
+ * Structured metadata extraction from the page head
+ *
+ * Every field is looked up in the sources below, in priority order; the first
+ * source with a usable value wins:
+ *   1. JSON-LD (NewsArticle, Article, BlogPosting, ...)
+ *   2. OpenGraph (og:*, article:*)
+ *   3. Twitter cards (twitter:*)
+ *   4. Standard <meta> and <link> tags (author, keywords, rel=canonical, ...)
+ * except the canonical URL, where the page's rel=canonical link comes first.
+ *
+ * Readability's byline and publishedTime are used by the caller as the last resort.
+ */
+
+// JSON-LD types that describe an article
+const ARTICLE_TYPES = [
+  "NewsArticle",
+  "Article",
+  "ReportageNewsArticle",
+  "AnalysisNewsArticle",
+  "OpinionNewsArticle",
+  "BackgroundNewsArticle",
+  "BlogPosting",
+  "LiveBlogPosting",
+  "Report",
+];
+
+// Meta tag names used for publication dates, checked in order
+const PUBLISHED_META_NAMES = [
+  "pubdate",
+  "publishdate",
+  "publish-date",
+  "date",
+  "dc.date.issued",
+  "dc.date",
+  "dcterms.created",
+  "parsely-pub-date",
+  "sailthru.date",
+];
+
+// Meta tag names used for modification dates, checked in order
+const MODIFIED_META_NAMES = ["lastmod", "last-modified", "dcterms.modified"];
+
+/**
+ * Read the content of the first matching meta tag
+ * @param {Document} document - DOM document
+ * @param {Array<string>} names - name/property values to look for (case-insensitive)
+ * @returns {string|null} - Trimmed content or null
+ */
+function getMeta(document, names) {
+  const wanted = names.map((name) => name.toLowerCase());
+  const metas = Array.from(document.querySelectorAll("meta"));
+
+  for (const name of wanted) {
+    const meta = metas.find((element) => {
+      const key =
+        element.getAttribute("property") ||
+        element.getAttribute("name") ||
+        element.getAttribute("itemprop") ||
+        "";
+      return key.toLowerCase() === name && element.getAttribute("content");
+    });
+    if (meta) return meta.getAttribute("content").trim();
+  }
+
+  return null;
+}
+
+/**
+ * Read the content of every matching meta tag (e.g. repeated article:tag)
+ * @param {Document} document - DOM document
+ * @param {string} name - name/property value to look for (case-insensitive)
+ * @returns {Array<string>} - Trimmed contents
+ */
+function getAllMeta(document, name) {
+  return Array.from(document.querySelectorAll("meta"))
+    .filter((element) => {
+      const key =
+        element.getAttribute("property") || element.getAttribute("name") || "";
+      return key.toLowerCase() === name;
+    })
+    .map((element) => (element.getAttribute("content") || "").trim())
+    .filter(Boolean);
+}
+
+/**
+ * Collect article objects from all JSON-LD blocks, flattening @graph and arrays
+ * @param {Document} document - DOM document
+ * @returns {Array<Object>} - JSON-LD nodes with an article type
+ */
+function getJsonLdArticles(document) {
+  const nodes = [];
+
+  const collect = (value) => {
+    if (!value || typeof value !== "object") return;
+    if (Array.isArray(value)) {
+      value.forEach(collect);
+      return;
+    }
+    nodes.push(value);
+    if (value["@graph"]) collect(value["@graph"]);
+  };
+
+  document
+    .querySelectorAll('script[type="application/ld+json"]')
+    .forEach((script) => {
+      const text = (script.textContent || "")
+        .replace(/^\s*<!\[CDATA\[/, "")
+        .replace(/\]\]>\s*$/, "")
+        .trim();
+      if (!text) return;
+
+      try {
+        collect(JSON.parse(text));
+      } catch (error) {
+        // Broken JSON-LD is common, the other sources still apply
+      }
+    });
+
+  return nodes.filter((node) => {
+    const types = [].concat(node["@type"] || []);
+    return types.some((type) => ARTICLE_TYPES.includes(type));
+  });
+}
+
+/**
+ * Normalize a JSON-LD value that may be a string, an object or an array into strings
+ * @param {*} value - JSON-LD value
+ * @param {Array<string>} keys - Object keys to read the string from
+ * @returns {Array<string>} - Non-empty strings
+ */
+function toStrings(value, keys = ["name"]) {
+  return []
+    .concat(value || [])
+    .map((item) => {
+      if (typeof item === "string") return item;
+      if (item && typeof item === "object") {
+        const key = keys.find((k) => typeof item[k] === "string");
+        return key ? item[key] : null;
+      }
+      return null;
+    })
+    .filter((item) => item && item.trim())
+    .map((item) => item.trim());
+}
+
+/**
+ * Split a keyword string on commas, dropping duplicates
+ * @param {Array<string>} values - Keyword strings
+ * @returns {Array<string>} - Individual keywords
+ */
+function splitKeywords(values) {
+  const keywords = values
+    .flatMap((value) => value.split(","))
+    .map((keyword) => keyword.trim())
+    .filter(Boolean);
+  return [...new Set(keywords)];
+}
+
+/**
+ * Parse a date string, returning null when it isn't a valid date
+ * @param {string} value - Date string
+ * @returns {Date|null} - Parsed date or null
+ */
+function toDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Resolve a URL against the page URL
+ * @param {string} value - Absolute or relative URL
+ * @param {string} baseUrl - Page URL
+ * @returns {string|null} - Absolute URL or null if it can't be resolved
+ */
+function toAbsoluteUrl(value, baseUrl) {
+  if (!value) return null;
+  try {
+    return new URL(value, baseUrl || undefined).href;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Pick the first usable candidate, remembering which source it came from
+ * @param {Array<Array>} candidates - [source, value] pairs in priority order
+ * @param {Function} isUsable - Whether a value can be used
+ * @returns {Object} - { value, source } or { value: null, source: null }
+ */
+function pickFirst(candidates, isUsable) {
+  for (const [source, value] of candidates) {
+    if (isUsable(value)) return { value, source };
+  }
+  return { value: null, source: null };
+}
+
+/**
+ * Extract structured article metadata from a document
+ * Must run before Readability, which modifies the document
+ * @param {Document} document - DOM document
+ * @param {string} baseUrl - Page URL used to resolve relative URLs
+ * @returns {Object} - Structured metadata and the source of each field
+ */
+function extractStructuredMetadata(document, baseUrl = "") {
+  const jsonLd = getJsonLdArticles(document)[0] || {};
+  const hasItems = (value) => Array.isArray(value) && value.length > 0;
+  const isSet = (value) => value !== null && value !== undefined;
+
+  const authors = pickFirst(
+    [
+      ["jsonld", toStrings(jsonLd.author)],
+      ["opengraph", getAllMeta(document, "article:author")],
+      ["twitter", toStrings(getMeta(document, ["twitter:creator"]))],
+      [
+        "meta",
+        toStrings(
+          getMeta(document, ["author", "parsely-author", "dc.creator"])
+        ),
+      ],
+    ],
+    hasItems
+  );
+
+  const datePublished = pickFirst(
+    [
+      ["jsonld", toDate(jsonLd.datePublished)],
+      ["opengraph", toDate(getMeta(document, ["article:published_time"]))],
+      ["meta", toDate(getMeta(document, PUBLISHED_META_NAMES))],
+    ],
+    isSet
+  );
+
+  const dateModified = pickFirst(
+    [
+      ["jsonld", toDate(jsonLd.dateModified)],
+      [
+        "opengraph",
+        toDate(getMeta(document, ["article:modified_time", "og:updated_time"])),
+      ],
+      ["meta", toDate(getMeta(document, MODIFIED_META_NAMES))],
+    ],
+    isSet
+  );
+
+  const section = pickFirst(
+    [
+      ["jsonld", toStrings(jsonLd.articleSection)[0]],
+      ["opengraph", getMeta(document, ["article:section"])],
+      ["meta", getMeta(document, ["section", "parsely-section"])],
+    ],
+    isSet
+  );
+
+  const keywords = pickFirst(
+    [
+      ["jsonld", splitKeywords(toStrings(jsonLd.keywords))],
+      ["opengraph", splitKeywords(getAllMeta(document, "article:tag"))],
+      [
+        "meta",
+        splitKeywords(
+          toStrings(getMeta(document, ["keywords", "news_keywords"]))
+        ),
+      ],
+    ],
+    hasItems
+  );
+
+  const image = pickFirst(
+    [
+      [
+        "jsonld",
+        toAbsoluteUrl(
+          toStrings(jsonLd.image, ["url", "contentUrl"])[0],
+          baseUrl
+        ),
+      ],
+      [
+        "opengraph",
+        toAbsoluteUrl(
+          getMeta(document, [
+            "og:image:secure_url",
+            "og:image",
+            "og:image:url",
+          ]),
+          baseUrl
+        ),
+      ],
+      [
+        "twitter",
+        toAbsoluteUrl(
+          getMeta(document, ["twitter:image", "twitter:image:src"]),
+          baseUrl
+        ),
+      ],
+      [
+        "meta",
+        toAbsoluteUrl(
+          document.querySelector('link[rel="image_src"]')?.getAttribute("href"),
+          baseUrl
+        ),
+      ],
+    ],
+    isSet
+  );
+
+  const mainEntity = jsonLd.mainEntityOfPage;
+  // The declared rel=canonical wins over og:url and JSON-LD, which sites
+  // often fill with a tracking or mirror URL
+  const canonicalUrl = pickFirst(
+    [
+      [
+        "meta",
+        toAbsoluteUrl(
+          document.querySelector('link[rel="canonical"]')?.getAttribute("href"),
+          baseUrl
+        ),
+      ],
+      [
+        "jsonld",
+        toAbsoluteUrl(
+          jsonLd.url ||
+            (typeof mainEntity === "string" ? mainEntity : mainEntity?.["@id"]),
+          baseUrl
+        ),
+      ],
+      ["opengraph", toAbsoluteUrl(getMeta(document, ["og:url"]), baseUrl)],
+      ["twitter", toAbsoluteUrl(getMeta(document, ["twitter:url"]), baseUrl)],
+    ],
+    isSet
+  );
+
+  const ampUrl = pickFirst(
+    [
+      [
+        "meta",
+        toAbsoluteUrl(
+          document.querySelector('link[rel="amphtml"]')?.getAttribute("href"),
+          baseUrl
+        ),
+      ],
+    ],
+    isSet
+  );
+
+  const fields = {
+    authors,
+    datePublished,
+    dateModified,
+    section,
+    keywords,
+    image,
+    canonicalUrl,
+    ampUrl,
+  };
+
+  const result = { sources: {} };
+  Object.entries(fields).forEach(([field, picked]) => {
+    result[field] = picked.value;
+    if (picked.source) result.sources[field] = picked.source;
+  });
+
+  return result;
+}
+
+module.exports = {
+  extractStructuredMetadata,
+};
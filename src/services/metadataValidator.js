@@ -0,0 +1,202 @@
+const urlNormalizer = require("./urlNormalizer");
+
+/**
+ * Declared schema of metadata.json
+ * types: accepted JavaScript types; format: extra check applied to the value
+ */
+const METADATA_SCHEMA = {
+  url: { types: ["string"], required: true, format: "url" },
+  crawl_time: { types: ["string", "number"], required: true, format: "date" },
+  depth: { types: ["number"], required: true, format: "depth" },
+};
+
+/**
+ * Machine-readable reason codes stored with each violation
+ */
+const REASON_CODES = {
+  INVALID_JSON: "invalid_json",
+  NOT_AN_OBJECT: "not_an_object",
+  MISSING_FIELD: "missing_field",
+  WRONG_TYPE: "wrong_type",
+  INVALID_URL: "invalid_url",
+  UNSUPPORTED_URL_SCHEME: "unsupported_url_scheme",
+  URL_HOST_MISMATCH: "url_host_mismatch",
+  INVALID_CRAWL_TIME: "invalid_crawl_time",
+  INVALID_DEPTH: "invalid_depth",
+};
+
+// Codes after which metadata.url can't be used as the page URL
+const URL_BLOCKING_CODES = [
+  REASON_CODES.INVALID_JSON,
+  REASON_CODES.NOT_AN_OBJECT,
+  REASON_CODES.INVALID_URL,
+  REASON_CODES.UNSUPPORTED_URL_SCHEME,
+];
+
+/**
+ * Build a violation record
+ * @param {string} code - One of REASON_CODES
+ * @param {string|null} field - Offending field, if any
+ * @param {string} message - Human-readable explanation
+ * @returns {Object} - { code, field, message }
+ */
+function violation(code, field, message) {
+  return { code, field, message };
+}
+
+/**
+ * Check a field value against its declared format
+ * @param {string} field - Field name
+ * @param {*} value - Field value (type already checked)
+ * @param {string} format - Format from METADATA_SCHEMA
+ * @param {Object} context - Validation context
+ * @returns {Array<Object>} - Violations, empty when valid
+ */
+function checkFormat(field, value, format, context) {
+  switch (format) {
+    case "url": {
+      let url;
+      try {
+        url = new URL(value);
+      } catch (error) {
+        return [
+          violation(REASON_CODES.INVALID_URL, field, `Not a URL: ${value}`),
+        ];
+      }
+      if (!["http:", "https:"].includes(url.protocol)) {
+        return [
+          violation(
+            REASON_CODES.UNSUPPORTED_URL_SCHEME,
+            field,
+            `Unsupported URL scheme ${url.protocol}`
+          ),
+        ];
+      }
+      if (
+        context.domain &&
+        !urlNormalizer.isSameSite(url.hostname, context.domain)
+      ) {
+        return [
+          violation(
+            REASON_CODES.URL_HOST_MISMATCH,
+            field,
+            `URL host ${url.hostname} doesn't match domain directory ${context.domain}`
+          ),
+        ];
+      }
+      return [];
+    }
+
+    case "date":
+      return isNaN(new Date(value).getTime())
+        ? [
+            violation(
+              REASON_CODES.INVALID_CRAWL_TIME,
+              field,
+              `Unparseable date: ${value}`
+            ),
+          ]
+        : [];
+
+    case "depth":
+      return Number.isInteger(value) && value >= 0
+        ? []
+        : [
+            violation(
+              REASON_CODES.INVALID_DEPTH,
+              field,
+              `Depth must be a non-negative integer, got ${value}`
+            ),
+          ];
+
+    default:
+      return [];
+  }
+}
+
+/**
+ * Validate parsed metadata.json against METADATA_SCHEMA
+ * @param {*} metadata - Parsed metadata
+ * @param {Object} [context] - Validation context
+ * @param {string} [context.domain] - Domain directory of the pair, the URL host must match it
+ * @returns {Object} - { valid, violations, urlUsable }
+ */
+function validateMetadata(metadata, context = {}) {
+  const violations = [];
+
+  if (!metadata || typeof metadata !== "object" || Array.isArray(metadata)) {
+    violations.push(
+      violation(
+        REASON_CODES.NOT_AN_OBJECT,
+        null,
+        "metadata.json must contain a JSON object"
+      )
+    );
+  } else {
+    Object.entries(METADATA_SCHEMA).forEach(([field, rule]) => {
+      const value = metadata[field];
+
+      if (value === undefined || value === null || value === "") {
+        if (rule.required) {
+          violations.push(
+            violation(
+              REASON_CODES.MISSING_FIELD,
+              field,
+              `Missing required field ${field}`
+            )
+          );
+        }
+        return;
+      }
+
+      if (!rule.types.includes(typeof value)) {
+        violations.push(
+          violation(
+            REASON_CODES.WRONG_TYPE,
+            field,
+            `${field} must be ${rule.types.join(" or ")}, got ${typeof value}`
+          )
+        );
+        return;
+      }
+
+      violations.push(...checkFormat(field, value, rule.format, context));
+    });
+  }
+
+  return {
+    valid: violations.length === 0,
+    violations,
+    urlUsable: !violations.some(
+      (item) =>
+        URL_BLOCKING_CODES.includes(item.code) ||
+        (item.field === "url" && item.code !== REASON_CODES.URL_HOST_MISMATCH)
+    ),
+  };
+}
+
+/**
+ * Validation result for a metadata.json that isn't valid JSON
+ * @param {Error} error - JSON.parse error
+ * @returns {Object} - { valid, violations, urlUsable }
+ */
+function invalidJsonResult(error) {
+  return {
+    valid: false,
+    violations: [
+      violation(
+        REASON_CODES.INVALID_JSON,
+        null,
+        error.message || "Invalid JSON"
+      ),
+    ],
+    urlUsable: false,
+  };
+}
+
+module.exports = {
+  METADATA_SCHEMA,
+  REASON_CODES,
+  validateMetadata,
+  invalidJsonResult,
+};
@@ -0,0 +1,245 @@
+const config = require("../config");
+
+// Page labels, in the order they are checked
+const PAGE_TYPES = [
+  "challenge",
+  "consent",
+  "error",
+  "paywall",
+  "listing",
+  "article",
+  "unknown",
+];
+
+// Bot protection and captcha pages (Cloudflare, reCAPTCHA, hCaptcha, ...)
+const CHALLENGE_TITLES = [
+  /^just a moment/i,
+  /attention required/i,
+  /^access denied/i,
+  /^security check/i,
+  /ddos[- ]guard/i,
+  /are you a (human|robot)/i,
+];
+const CHALLENGE_SELECTORS = [
+  "#challenge-form",
+  "#challenge-running",
+  "#cf-challenge-running",
+  ".cf-browser-verification",
+  "#cf-wrapper",
+  ".g-recaptcha",
+  ".h-captcha",
+  "iframe[src*='captcha']",
+  "#px-captcha",
+];
+const CHALLENGE_TEXT = [
+  /verify(ing)? (that )?you are (a )?human/i,
+  /checking your browser before accessing/i,
+  /enable javascript and cookies to continue/i,
+  /complete the security check/i,
+];
+
+// Cookie consent interstitials (content hidden until consent is given)
+const CONSENT_TITLES = [/^before you continue/i, /cookie (consent|settings)/i];
+const CONSENT_SELECTORS = [
+  "#onetrust-consent-sdk",
+  "#CybotCookiebotDialog",
+  ".qc-cmp2-container",
+  "#didomi-host",
+  "[id*='consent' i]",
+  "[class*='consent' i]",
+  "[id*='gdpr' i]",
+];
+const CONSENT_TEXT = [
+  /we value your privacy/i,
+  /we (and our partners )?use cookies/i,
+  /accept (all )?cookies/i,
+  /manage (your )?(cookie )?preferences/i,
+];
+
+// Error pages and soft 404s
+const ERROR_TITLES = [
+  /\b404\b/,
+  /\b410\b/,
+  /not found/i,
+  /page (does not|doesn't) exist/i,
+  /no longer available/i,
+  /^error\b/i,
+  /server error/i,
+];
+
+// Paywalls and subscriber-only teasers
+const PAYWALL_SELECTORS = [
+  ".paywall",
+  "#paywall",
+  "[class*='paywall' i]",
+  "[class*='subscriber-only' i]",
+  "[class*='premium-content' i]",
+  "[data-paywall]",
+  ".tp-modal",
+];
+const PAYWALL_TEXT = [
+  /subscribe (now )?to (continue|keep) reading/i,
+  /(to )?read the full (article|story)/i,
+  /this (article|content) is (only available|reserved) (to|for) (subscribers|members)/i,
+  /already a subscriber\?/i,
+];
+
+/**
+ * Check whether any selector matches, ignoring unsupported selectors
+ * @param {Document} document - DOM document
+ * @param {Array<string>} selectors - CSS selectors
+ * @returns {string|null} - First matching selector or null
+ */
+function findSelector(document, selectors) {
+  for (const selector of selectors) {
+    try {
+      if (document.querySelector(selector)) return selector;
+    } catch (error) {
+      // Older selector engines don't support the case-insensitive flag
+    }
+  }
+  return null;
+}
+
+/**
+ * Check whether any pattern matches the text
+ * @param {string} text - Text to test
+ * @param {Array<RegExp>} patterns - Patterns
+ * @returns {RegExp|null} - First matching pattern or null
+ */
+function findPattern(text, patterns) {
+  return patterns.find((pattern) => pattern.test(text)) || null;
+}
+
+/**
+ * Whether JSON-LD marks the page as not free to access
+ * @param {Document} document - DOM document
+ * @returns {boolean} - True if isAccessibleForFree is false
+ */
+function isMarkedNotFree(document) {
+  return Array.from(
+    document.querySelectorAll('script[type="application/ld+json"]')
+  ).some((script) =>
+    /"isAccessibleForFree"\s*:\s*(false|"false"|"False")/.test(
+      script.textContent || ""
+    )
+  );
+}
+
+/**
+ * Whether the page looks like a section front or index of articles:
+ * many headline links and little running text
+ * @param {Document} document - DOM document
+ * @param {number} textLength - Length of the extracted article text
+ * @returns {boolean} - True for listing pages
+ */
+function looksLikeListing(document, textLength) {
+  const ogType = document
+    .querySelector('meta[property="og:type"]')
+    ?.getAttribute("content");
+  if (ogType && ogType.toLowerCase() === "article") return false;
+
+  // Links with headline-sized text
+  const headlineLinks = Array.from(document.querySelectorAll("a")).filter(
+    (link) => {
+      const length = (link.textContent || "").trim().length;
+      return length >= 30 && length <= 200;
+    }
+  ).length;
+
+  return headlineLinks >= 20 && textLength < headlineLinks * 60;
+}
+
+/**
+ * Classify a page as article, paywall, challenge, error, listing or consent
+ * (unknown when less than minContentLength of text was extracted and no other
+ * label applies)
+ * Page-level markers win over extracted text for challenges; the other labels
+ * also require the extracted text to be short, since banners and prompts
+ * appear on many real articles too
+ * @param {Document} document - DOM document
+ * @param {Object|null} article - Extracted article, if any
+ * @param {Object} [options] - Classification options
+ * @param {number} [options.minContentLength] - Language-aware content threshold (defaults to config)
+ * @returns {Object} - { pageType, signals } where signals explain the label
+ */
+function classifyPage(document, article, options = {}) {
+  const minContentLength =
+    options.minContentLength ?? config.readability.minContentLength;
+  const title = (document.title || "").trim();
+  const heading = (document.querySelector("h1")?.textContent || "").trim();
+  const bodyText = (document.body?.textContent || "").slice(0, 20000);
+  const textLength = article?.textContent
+    ? article.textContent.trim().length
+    : 0;
+  const isShort = textLength < minContentLength * 5;
+  const isTeaser = textLength < minContentLength * 15;
+  const signals = [];
+
+  const result = (pageType) => ({ pageType, signals });
+
+  // Challenges and captchas replace the whole page
+  const challengeTitle = findPattern(title, CHALLENGE_TITLES);
+  const challengeSelector = findSelector(document, CHALLENGE_SELECTORS);
+  const challengeText = findPattern(bodyText, CHALLENGE_TEXT);
+  if (challengeTitle) signals.push(`challenge-title:${challengeTitle.source}`);
+  if (challengeSelector) signals.push(`challenge-element:${challengeSelector}`);
+  if (challengeText) signals.push(`challenge-text:${challengeText.source}`);
+  if (challengeTitle || ((challengeSelector || challengeText) && isShort)) {
+    return result("challenge");
+  }
+
+  // Consent banners sit on many real articles, only short pages are interstitials
+  const consentTitle = findPattern(title, CONSENT_TITLES);
+  const consentSelector = findSelector(document, CONSENT_SELECTORS);
+  const consentText = findPattern(bodyText, CONSENT_TEXT);
+  if (consentTitle) signals.push(`consent-title:${consentTitle.source}`);
+  if (consentSelector) signals.push(`consent-element:${consentSelector}`);
+  if (consentText) signals.push(`consent-text:${consentText.source}`);
+  if (consentTitle || ((consentSelector || consentText) && isShort)) {
+    return result("consent");
+  }
+
+  // Soft 404s and error pages
+  const errorTitle =
+    findPattern(title, ERROR_TITLES) || findPattern(heading, ERROR_TITLES);
+  if (errorTitle) signals.push(`error-title:${errorTitle.source}`);
+  if (errorTitle && isShort) {
+    return result("error");
+  }
+
+  // Paywalls: explicit markup, or a teaser with subscription prompts
+  const notFree = isMarkedNotFree(document);
+  const paywallSelector = findSelector(document, PAYWALL_SELECTORS);
+  const paywallText = findPattern(bodyText, PAYWALL_TEXT);
+  if (notFree) signals.push("paywall-jsonld:isAccessibleForFree=false");
+  if (paywallSelector) signals.push(`paywall-element:${paywallSelector}`);
+  if (paywallText) signals.push(`paywall-text:${paywallText.source}`);
+  if ((notFree && isTeaser) || ((paywallSelector || paywallText) && isShort)) {
+    return result("paywall");
+  }
+
+  if (looksLikeListing(document, textLength)) {
+    signals.push("listing:many-headline-links");
+    return result("listing");
+  }
+
+  // Nothing was extracted, so there is no evidence this is an article
+  if (textLength === 0) {
+    signals.push("no-extracted-text");
+    return result("unknown");
+  }
+
+  // A few words are no evidence either (a caption, a button, a stray link)
+  if (textLength < minContentLength) {
+    signals.push(`short-extracted-text:${textLength}`);
+    return result("unknown");
+  }
+
+  return result("article");
+}
+
+module.exports = {
+  PAGE_TYPES,
+  classifyPage,
+};
@@ -1,14 +1,51 @@
-const { Readability } = require("@mozilla/readability");
 const { JSDOM } = require("jsdom");
 const config = require("../config");
+const metadataExtractor = require("./metadataExtractor");
+const domainRules = require("./domainRules");
+const extractors = require("./extractors");
+const pageClassifier = require("./pageClassifier");
+const contentRenderer = require("./contentRenderer");
+const mediaExtractor = require("./mediaExtractor");
+const linkExtractor = require("./linkExtractor");
+const languageDetector = require("./languageDetector");
 
 /**
- * Parse HTML content using Readability
+ * Get the host name of a URL
+ * @param {string} url - URL
+ * @returns {string|null} - Host name or null if the URL is invalid
+ */
+function getHost(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Parse HTML content with the extractor chain
+ * Per-domain rules (when the domain has a body selector), Readability (with
+ * the rule's option overrides, unless the rule sets `useReadability: false`),
+ * then the text-density and paragraph-harvest fallbacks. The winning method
+ * and its score are recorded as `extractionMethod` and `extractionScore`.
+ * Structured metadata (authors, dates, section, keywords, lead image, canonical
+ * URL) is extracted from the untouched document and attached as `structured`,
+ * and the article's images and embedded videos are collected as `media` and
+ * its outbound links as `links`
+ * The page is also classified (article, paywall, challenge, error, listing or
+ * consent) and the label is returned even when no article could be extracted.
+ * The language is detected from the text and <html lang>; it selects the
+ * content length threshold used for the chain, classification and
+ * `isPotentiallyEmpty`
  * @param {string} html - HTML content
  * @param {string} url - URL of the page (optional)
- * @returns {Object} - Parsed article data
+ * @param {Object} [options] - Parsing options
+ * @param {string} [options.domain] - Crawled domain, used for rules when the URL is missing
+ * @param {Array<string>} [options.crawledDomains] - All crawled domains, to label cross-domain links
+ * @returns {Object} - { article, pageType, pageSignals, language, minContentLength }; article is null on failure
  */
-function parseHtml(html, url = "") {
+function parsePage(html, url = "", options = {}) {
+  let dom;
   try {
     // Create a DOM object from the HTML content
     // Use default URL if none provided or if URL is invalid
@@ -16,18 +53,98 @@ function parseHtml(html, url = "") {
       url: url && url.startsWith("http") ? url : config.readability.defaultUrl,
     };
 
-    const dom = new JSDOM(html, domOptions);
+    dom = new JSDOM(html, domOptions);
+    const document = dom.window.document;
+
+    // Read structured metadata before the rules remove any elements
+    const structured = metadataExtractor.extractStructuredMetadata(
+      document,
+      domOptions.url
+    );
 
-    // Create a new Readability object
-    const reader = new Readability(dom.window.document);
+    const rules =
+      domainRules.getRulesForHost(getHost(url)) ||
+      domainRules.getRulesForHost(options.domain);
 
-    // Parse the content
-    const article = reader.parse();
+    let ruleTitle = null;
+    let ruleDate = null;
+
+    if (rules) {
+      ruleTitle = domainRules.extractTitle(document, rules);
+      ruleDate = domainRules.extractDate(document, rules);
+      domainRules.removeElements(document, rules);
+    }
+
+    // Try the extractors in order and keep the best scoring candidate
+    const declaredLanguage = languageDetector.getDeclaredLanguage(document);
+    const extraction = extractors.extractBest(document, {
+      rules,
+      minContentLength: languageDetector.getMinContentLength(declaredLanguage),
+    });
+    const article = extraction.article;
+
+    // Content thresholds depend on the language of the extracted text
+    const detected = languageDetector.detectLanguage(
+      article ? article.textContent : "",
+      declaredLanguage
+    );
+    const minContentLength = languageDetector.getMinContentLength(
+      detected.language
+    );
+    const classification = pageClassifier.classifyPage(document, article, {
+      minContentLength,
+    });
+
+    if (article) {
+      article.language = detected.language;
+      article.languageSource = detected.source;
+      article.extractionMethod = extraction.method;
+      article.extractionScore = extraction.score;
+      article.extractionCandidates = extraction.candidates;
+      article.pageType = classification.pageType;
+      article.pageSignals = classification.signals;
+
+      // Keep the structure as sanitized HTML and Markdown next to the text
+      const rendered = contentRenderer.renderContent(
+        article.content,
+        domOptions.url
+      );
+      article.sanitizedHtml = rendered.html;
+      article.markdown = rendered.markdown;
+      article.renditionTruncated = rendered.truncated;
+
+      // Images and captions from the content, embedded videos from the page
+      article.media = mediaExtractor.extractMedia(
+        document,
+        article.content,
+        domOptions.url,
+        structured.image
+      );
+
+      // Outbound links, labelled internal, cross-domain or external
+      article.links = linkExtractor.extractLinks(
+        document,
+        article.content,
+        domOptions.url,
+        { domain: options.domain, crawledDomains: options.crawledDomains }
+      );
+
+      // Rule selectors take precedence over anything found in the page
+      if (ruleTitle) {
+        article.title = ruleTitle;
+      }
+      if (ruleDate) {
+        structured.datePublished = ruleDate;
+        structured.sources.datePublished = "rules";
+      }
+
+      article.structured = applyReadabilityFallbacks(structured, article);
+    }
 
     // Check if article content is meaningful (not just boilerplate text)
     if (article && article.textContent) {
       const textLength = article.textContent.trim().length;
-      if (textLength < config.readability.minContentLength) {
+      if (textLength < minContentLength) {
         console.log(
           `Warning: Very short article content (${textLength} chars) for URL: ${url}`
         );
@@ -36,11 +153,62 @@ function parseHtml(html, url = "") {
       }
     }
 
-    return article;
+    return {
+      article,
+      pageType: classification.pageType,
+      pageSignals: classification.signals,
+      language: detected.language,
+      minContentLength,
+    };
   } catch (error) {
-    console.error("Error parsing HTML with Readability:", error);
-    return null;
+    console.error("Error parsing HTML:", error);
+    return {
+      article: null,
+      pageType: null,
+      pageSignals: [],
+      language: null,
+      minContentLength: config.readability.minContentLength,
+    };
+  } finally {
+    // Release the DOM, the parsed article only holds strings
+    if (dom) {
+      dom.window.close();
+    }
+  }
+}
+
+/**
+ * Parse HTML content and return only the extracted article
+ * @param {string} html - HTML content
+ * @param {string} url - URL of the page (optional)
+ * @param {Object} [options] - Parsing options, see parsePage
+ * @returns {Object|null} - Parsed article data
+ */
+function parseHtml(html, url = "", options = {}) {
+  return parsePage(html, url, options).article;
+}
+
+/**
+ * Fill structured metadata gaps with what Readability found (lowest priority)
+ * @param {Object} structured - Result of metadataExtractor.extractStructuredMetadata
+ * @param {Object} article - Readability result
+ * @returns {Object} - Structured metadata
+ */
+function applyReadabilityFallbacks(structured, article) {
+  if (!structured.authors && article.byline) {
+    structured.authors = [article.byline.trim()];
+    structured.sources.authors = "readability";
   }
+
+  if (!structured.datePublished && article.publishedTime) {
+    const date = new Date(article.publishedTime);
+    if (!isNaN(date.getTime())) {
+      structured.datePublished = date;
+      structured.sources.datePublished = "readability";
+    }
+  }
+
+  return structured;
 }
 
 /**
@@ -67,12 +235,13 @@ function extractMetadata(metadata) {
     }
   });
 
-  // Parse crawl_time to create crawl_datetime if possible
+  // Parse crawl_time to create crawl_datetime, new Date() doesn't throw on bad input
   if (extracted.crawl_time) {
-    try {
-      extracted.crawl_datetime = new Date(extracted.crawl_time);
-    } catch (error) {
-      console.error(`Error parsing crawl_time: ${extracted.crawl_time}`, error);
+    const crawlDate = new Date(extracted.crawl_time);
+    if (isNaN(crawlDate.getTime())) {
+      console.error(`Error parsing crawl_time: ${extracted.crawl_time}`);
+    } else {
+      extracted.crawl_datetime = crawlDate;
     }
   }
 
@@ -99,6 +268,7 @@ function hasValidUrl(metadata) {
 }
 
 module.exports = {
+  parsePage,
   parseHtml,
   extractMetadata,
   hasValidUrl,
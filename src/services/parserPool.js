@@ -0,0 +1,249 @@
+const path = require("path");
+const { Worker } = require("worker_threads");
+const config = require("../config");
+const parser = require("./parser");
+
+const WORKER_FILE = path.join(__dirname, "parserWorker.js");
+
+/**
+ * Create an error for a page the pool had to give up on
+ * @param {string} code - PARSE_TIMEOUT, PARSE_OUT_OF_MEMORY or PARSE_WORKER_EXIT
+ * @param {string} message - Error message
+ * @returns {Error} - Error with the code set
+ */
+function createParseError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Create a pool of worker threads running parser.parsePage
+ * Workers are started on demand up to the pool size. A page that runs past the
+ * timeout or exceeds the worker heap limit gets its worker terminated and
+ * replaced, and its promise rejected with a coded error. The page timeout
+ * starts once the worker has loaded the parser; loading has its own timeout.
+ * With a size of 0 the pool parses on the main thread (no timeout or memory cap).
+ * @param {Object} [options] - Pool options, defaults from config.parser
+ * @param {number} [options.size] - Number of worker threads
+ * @param {number} [options.timeoutMs] - Per-page timeout
+ * @param {number} [options.bootTimeoutMs] - Time a new worker gets to start
+ * @param {number} [options.maxMemoryMb] - Heap limit of each worker
+ * @returns {Object} - Pool with size, parsePage(html, url, options) and close()
+ */
+function createParserPool(options = {}) {
+  const size = options.size ?? config.parser.workers;
+  const timeoutMs = options.timeoutMs ?? config.parser.timeoutMs;
+  const bootTimeoutMs = options.bootTimeoutMs ?? config.parser.bootTimeoutMs;
+  const maxMemoryMb = options.maxMemoryMb ?? config.parser.maxMemoryMb;
+
+  if (size <= 0) {
+    return {
+      size: 0,
+      async parsePage(html, url, parseOptions) {
+        return parser.parsePage(html, url, parseOptions);
+      },
+      async close() {},
+    };
+  }
+
+  const workers = new Set();
+  const idle = [];
+  const queue = [];
+  let nextTaskId = 1;
+  let closed = false;
+
+  /**
+   * Resolve or reject the task running on a worker and free the worker
+   * @param {Worker} worker - Worker thread
+   * @param {Error|null} error - Failure, if any
+   * @param {Object} [result] - parsePage result
+   */
+  function settle(worker, error, result) {
+    const task = worker.task;
+    if (!task) return;
+
+    worker.task = null;
+    clearTimeout(task.timer);
+    if (error) {
+      task.reject(error);
+    } else {
+      task.resolve(result);
+    }
+
+    if (!worker.retired && !closed) {
+      idle.push(worker);
+      drain();
+    }
+  }
+
+  /**
+   * Give up on a worker: reject its page and terminate it
+   * @param {Worker} worker - Worker thread
+   * @param {Error} error - Failure reported for the page
+   */
+  function abandon(worker, error) {
+    worker.retired = true;
+    settle(worker, error);
+    worker.terminate();
+  }
+
+  /**
+   * Start the timeout of the page a ready worker is parsing
+   * @param {Worker} worker - Worker thread with a task
+   */
+  function startTimer(worker) {
+    worker.task.timer = setTimeout(() => {
+      abandon(
+        worker,
+        createParseError(
+          "PARSE_TIMEOUT",
+          `Parsing timed out after ${timeoutMs}ms`
+        )
+      );
+    }, timeoutMs);
+  }
+
+  /**
+   * Start a worker thread and wire up its events
+   * @returns {Worker} - Worker thread
+   */
+  function spawn() {
+    const worker = new Worker(WORKER_FILE, {
+      resourceLimits: { maxOldGenerationSizeMb: maxMemoryMb },
+    });
+    worker.task = null;
+    worker.retired = false;
+    worker.ready = false;
+    worker.bootTimer = setTimeout(() => {
+      abandon(
+        worker,
+        createParseError(
+          "PARSE_TIMEOUT",
+          `Parser worker didn't start within ${bootTimeoutMs}ms`
+        )
+      );
+    }, bootTimeoutMs);
+
+    worker.on("message", (message) => {
+      if (message.ready) {
+        worker.ready = true;
+        clearTimeout(worker.bootTimer);
+        if (worker.task) startTimer(worker);
+        return;
+      }
+      if (!worker.task || worker.task.id !== message.id) return;
+      if (message.error) {
+        settle(worker, new Error(message.error));
+      } else {
+        settle(worker, null, message.result);
+      }
+    });
+
+    worker.on("error", (error) => {
+      worker.retired = true;
+      settle(
+        worker,
+        error.code === "ERR_WORKER_OUT_OF_MEMORY"
+          ? createParseError(
+              "PARSE_OUT_OF_MEMORY",
+              `Parsing exceeded the ${maxMemoryMb} MB worker memory limit`
+            )
+          : error
+      );
+    });
+
+    worker.on("exit", (exitCode) => {
+      worker.retired = true;
+      clearTimeout(worker.bootTimer);
+      workers.delete(worker);
+      const idleIndex = idle.indexOf(worker);
+      if (idleIndex !== -1) idle.splice(idleIndex, 1);
+
+      settle(
+        worker,
+        createParseError(
+          "PARSE_WORKER_EXIT",
+          `Parser worker exited with code ${exitCode}`
+        )
+      );
+
+      // Replacements are started on demand for queued pages
+      if (!closed) drain();
+    });
+
+    workers.add(worker);
+    return worker;
+  }
+
+  /**
+   * Hand queued pages to idle workers, starting workers up to the pool size
+   */
+  function drain() {
+    while (queue.length > 0) {
+      let worker = idle.pop();
+      if (!worker) {
+        if (workers.size >= size) return;
+        worker = spawn();
+      }
+
+      const task = queue.shift();
+      worker.task = task;
+      if (worker.ready) startTimer(worker);
+
+      worker.postMessage({
+        id: task.id,
+        html: task.html,
+        url: task.url,
+        options: task.options,
+      });
+    }
+  }
+
+  return {
+    size,
+
+    /**
+     * Parse a page on a worker thread, see parser.parsePage
+     * @param {string} html - HTML content
+     * @param {string} url - URL of the page
+     * @param {Object} [parseOptions] - Parsing options
+     * @returns {Promise<Object>} - { article, pageType, pageSignals }
+     */
+    parsePage(html, url = "", parseOptions = {}) {
+      if (closed) {
+        return Promise.reject(new Error("Parser pool is closed"));
+      }
+
+      return new Promise((resolve, reject) => {
+        queue.push({
+          id: nextTaskId++,
+          html,
+          url,
+          options: parseOptions,
+          resolve,
+          reject,
+        });
+        drain();
+      });
+    },
+
+    /**
+     * Stop all workers, pages still queued are rejected
+     * @returns {Promise<void>}
+     */
+    async close() {
+      closed = true;
+      queue.splice(0).forEach((task) => {
+        task.reject(new Error("Parser pool is closed"));
+      });
+      await Promise.all(
+        Array.from(workers).map((worker) => worker.terminate())
+      );
+    },
+  };
+}
+
+module.exports = {
+  createParserPool,
+};
@@ -0,0 +1,15 @@
+const { parentPort } = require("worker_threads");
+const parser = require("./parser");
+
+// Parse one page per message and send the result back with the task id
+parentPort.on("message", ({ id, html, url, options }) => {
+  try {
+    const result = parser.parsePage(html, url, options);
+    parentPort.postMessage({ id, result });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message || "Unknown error" });
+  }
+});
+
+// The parser is loaded, page timeouts start counting from here
+parentPort.postMessage({ ready: true });
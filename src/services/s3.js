@@ -1,11 +1,15 @@
 const AWS = require("aws-sdk");
 const config = require("../config");
+const concurrency = require("./concurrency");
 const cliProgress = require("cli-progress");
 const colors = require("colors");
 
 // Initialize S3 client
 const s3 = new AWS.S3();
 
+// Queue of the bucket's object notifications, only used when configured
+const sqs = new AWS.SQS();
+
 // Base parameters for S3 operations
 const baseParams = {
   Bucket: config.s3.bucket,
@@ -55,14 +59,16 @@ async function listAllFiles(options = {}) {
       // Request the next page of results
       const data = await s3.listObjectsV2(listParams).promise();
 
-      // Add the files to our collection
+      // Add the files to our collection, keeping only matching ones if a filter is given
       if (data.Contents && data.Contents.length > 0) {
-        allFiles.push(...data.Contents);
+        const pageFiles = options.filter
+          ? data.Contents.filter(options.filter)
+          : data.Contents;
+        allFiles.push(...pageFiles);
         pageCount++;
 
         // If the number of pages exceeds our estimate, increase the estimate
         if (pageCount > estimatedPages) {
-          const oldEstimate = estimatedPages;
           estimatedPages = Math.max(estimatedPages * 2, pageCount + 5);
           progressBar.setTotal(estimatedPages);
         }
@@ -141,6 +147,53 @@ async function getFileContent(key) {
   }
 }
 
+/**
+ * Get the raw body of an S3 object with its content headers
+ * @param {string} key - S3 object key
+ * @returns {Promise<Object>} - { body, contentType, contentEncoding }
+ */
+async function getObjectBody(key) {
+  try {
+    const data = await s3
+      .getObject({ Bucket: baseParams.Bucket, Key: key })
+      .promise();
+
+    return {
+      body: data.Body,
+      contentType: data.ContentType || null,
+      contentEncoding: data.ContentEncoding || null,
+    };
+  } catch (error) {
+    console.error(`Error retrieving file ${key}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get the listing entry of a single S3 object
+ * @param {string} key - S3 object key
+ * @returns {Promise<Object|null>} - Object with Key, LastModified and Size, or null if missing
+ */
+async function getFileInfo(key) {
+  try {
+    const data = await s3
+      .headObject({ Bucket: baseParams.Bucket, Key: key })
+      .promise();
+
+    return {
+      Key: key,
+      LastModified: data.LastModified,
+      Size: data.ContentLength,
+    };
+  } catch (error) {
+    if (error.code === "NotFound" || error.statusCode === 404) {
+      return null;
+    }
+    console.error(`Error retrieving file info ${key}:`, error);
+    throw error;
+  }
+}
+
 /**
  * Filters S3 files that were modified after the specified hours
  * @param {Array} files - Array of S3 objects
@@ -162,23 +215,19 @@ function getFilesModifiedAfter(files, hours) {
 
 /**
  * Get files modified in the last specified hours
+ * Walks every page of the bucket and filters each page as it arrives,
+ * so only matching objects are kept in memory
  * @param {Number} hours - Hours to look back
- * @param {Boolean} useAllPagination - Whether to use pagination to get all files
  * @returns {Promise<Array>} - Recent files
  */
-async function getRecentFiles(hours = 24, useAllPagination = false) {
+async function getRecentFiles(hours = 24) {
   try {
-    let allFiles;
-
-    if (useAllPagination) {
-      // Get all files using pagination
-      allFiles = await listAllFiles();
-    } else {
-      // Get just the first page of files
-      allFiles = await listFiles();
-    }
+    const cutoffTime = new Date();
+    cutoffTime.setHours(cutoffTime.getHours() - hours);
 
-    const recentFiles = getFilesModifiedAfter(allFiles, hours);
+    const recentFiles = await listAllFiles({
+      filter: (file) => file.LastModified > cutoffTime,
+    });
 
     console.log(
       `Found ${recentFiles.length} files modified in the last ${hours} hours`
@@ -191,10 +240,167 @@ async function getRecentFiles(hours = 24, useAllPagination = false) {
   }
 }
 
+/**
+ * Get files modified since a date, walking every page of the bucket
+ * @param {Date} since - Objects modified at or after this date are returned
+ * @returns {Promise<Array>} - Files modified since the given date
+ */
+async function getFilesModifiedSince(since) {
+  try {
+    const files = await listAllFiles({
+      filter: (file) => file.LastModified >= since,
+    });
+
+    console.log(
+      `Found ${files.length} files modified since ${since.toISOString()}`
+    );
+
+    return files;
+  } catch (error) {
+    console.error("Error getting files modified since watermark:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get the keys of objects created in this bucket from a notification message
+ * Accepts S3 event notifications sent to the queue directly or through SNS;
+ * other events (removals, the s3:TestEvent sent on setup) yield no keys
+ * @param {string} body - SQS message body
+ * @returns {Array<string>} - Decoded object keys
+ */
+function parseObjectEvents(body) {
+  let event;
+  try {
+    event = JSON.parse(body);
+    if (typeof event.Message === "string") {
+      event = JSON.parse(event.Message);
+    }
+  } catch (error) {
+    console.error("Error parsing S3 event notification:", error.message);
+    return [];
+  }
+
+  return (event.Records || [])
+    .filter(
+      (record) =>
+        record.eventName &&
+        record.eventName.startsWith("ObjectCreated:") &&
+        record.s3 &&
+        record.s3.bucket.name === baseParams.Bucket
+    )
+    .map((record) =>
+      decodeURIComponent(record.s3.object.key.replace(/\+/g, " "))
+    );
+}
+
+/**
+ * Receive the queued notifications of objects created in the bucket
+ * Messages stay invisible to other consumers for the visibility timeout and
+ * reappear unless deleted with deleteObjectEvents, so a run that fails
+ * before handling them leaves them for the next one.
+ * @returns {Promise<Array>} - { receiptHandle, keys } per message
+ */
+async function receiveObjectEvents() {
+  const { queueUrl, maxMessages, visibilityTimeoutSeconds } = config.s3.events;
+  const events = [];
+
+  while (events.length < maxMessages) {
+    const data = await sqs
+      .receiveMessage({
+        QueueUrl: queueUrl,
+        MaxNumberOfMessages: Math.min(10, maxMessages - events.length),
+        VisibilityTimeout: visibilityTimeoutSeconds,
+        WaitTimeSeconds: 1,
+      })
+      .promise();
+    if (!data.Messages || data.Messages.length === 0) break;
+
+    data.Messages.forEach((message) => {
+      events.push({
+        receiptHandle: message.ReceiptHandle,
+        keys: parseObjectEvents(message.Body),
+      });
+    });
+  }
+
+  return events;
+}
+
+/**
+ * Delete handled notifications from the queue
+ * @param {Array} events - Events from receiveObjectEvents
+ * @returns {Promise<number>} - Number of deleted messages
+ */
+async function deleteObjectEvents(events) {
+  let deletedCount = 0;
+  for (let i = 0; i < events.length; i += 10) {
+    const batch = events.slice(i, i + 10);
+    const data = await sqs
+      .deleteMessageBatch({
+        QueueUrl: config.s3.events.queueUrl,
+        Entries: batch.map((event, index) => ({
+          Id: String(index),
+          ReceiptHandle: event.receiptHandle,
+        })),
+      })
+      .promise();
+    deletedCount += data.Successful.length;
+    if (data.Failed.length > 0) {
+      console.error(
+        `Failed to delete ${data.Failed.length} S3 event notifications, they will be received again`
+      );
+    }
+  }
+  return deletedCount;
+}
+
+/**
+ * Get the objects named by queued notifications, without listing the bucket
+ * Each key is looked up once (HEAD) for its current LastModified and size;
+ * keys whose object is gone are dropped.
+ * @returns {Promise<Object>} - { files, events }; events are deleted by the caller once handled
+ */
+async function getFilesFromEvents() {
+  const events = await receiveObjectEvents();
+  const keys = [...new Set(events.flatMap((event) => event.keys))];
+
+  const files = await concurrency.runWithConcurrency(
+    keys,
+    config.downloads.concurrency,
+    async (key) =>
+      (
+        await concurrency.retryWithBackoff(() => getFileInfo(key))
+      ).value
+  );
+  const existing = files.filter(Boolean);
+  existing.sort((a, b) => (a.Key < b.Key ? -1 : a.Key > b.Key ? 1 : 0));
+
+  console.log(
+    `Received ${events.length} S3 event notifications for ${keys.length} objects (${existing.length} still exist)`
+  );
+  return { files: existing, events };
+}
+
+/**
+ * Identifier of this bucket, used to key persisted state such as watermarks
+ * @returns {string} - Source identifier
+ */
+function getSourceId() {
+  return `s3://${baseParams.Bucket}`;
+}
+
 module.exports = {
   listAllFiles,
   listFiles,
   getFileContent,
+  getObjectBody,
+  getFileInfo,
   getFilesModifiedAfter,
   getRecentFiles,
+  getFilesModifiedSince,
+  parseObjectEvents,
+  getFilesFromEvents,
+  deleteObjectEvents,
+  getSourceId,
 };
@@ -0,0 +1,41 @@
+const config = require("../../config");
+const { createS3Source } = require("./s3Source");
+const { createLocalSource } = require("./localSource");
+
+/**
+ * Storage sources share one interface:
+ * - id: stable identifier used to key persisted state (e.g. watermarks)
+ * - list({ since, incremental }): objects with Key, LastModified and Size;
+ *   incremental is set when the run resumes from a watermark
+ * - stat(key): a single listing entry, or null if the object does not exist
+ * - read(key): the object content as text
+ * - readBuffer(key): the raw bytes with contentType and contentEncoding (if known)
+ * - commitListing(failedKeys) (optional): called once the run saved its
+ *   results, for sources that consume a change feed
+ */
+
+/**
+ * Create the storage source selected by configuration
+ * @param {Object} [options] - Overrides for config.source
+ * @param {string} [options.type] - "s3" or "local"
+ * @param {string} [options.localDir] - Root directory for the local source
+ * @returns {Object} - Storage source
+ */
+function getSource(options = {}) {
+  const type = options.type || config.source.type;
+
+  switch (type) {
+    case "s3":
+      return createS3Source();
+    case "local":
+      return createLocalSource(options.localDir || config.source.localDir);
+    default:
+      throw new Error(`Unknown source type: ${type}`);
+  }
+}
+
+module.exports = {
+  getSource,
+  createS3Source,
+  createLocalSource,
+};
@@ -0,0 +1,133 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Create a storage source backed by a local directory
+ * The directory mirrors the bucket layout, so keys are paths relative to it:
+ * <prefix>/<domain>/<hash>/page.html and <prefix>/<domain>/<hash>/metadata.json
+ * @param {string} rootDir - Directory holding the crawler dump
+ * @returns {Object} - Source with id, list, stat and read
+ */
+function createLocalSource(rootDir) {
+  const root = path.resolve(rootDir);
+
+  /**
+   * Resolve an object key to a path inside the root directory
+   * @param {string} key - Object key
+   * @returns {string} - Absolute file path
+   */
+  function resolveKey(key) {
+    const filePath = path.resolve(root, ...key.split("/"));
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Key ${key} resolves outside of ${root}`);
+    }
+    return filePath;
+  }
+
+  /**
+   * Build a listing entry from file stats
+   * @param {string} key - Object key
+   * @param {fs.Stats} stats - File stats
+   * @returns {Object} - Object with Key, LastModified and Size
+   */
+  function toEntry(key, stats) {
+    return {
+      Key: key,
+      LastModified: stats.mtime,
+      Size: stats.size,
+    };
+  }
+
+  return {
+    id: `file://${root}`,
+
+    /**
+     * List files recursively, in key order like an S3 listing
+     * @param {Object} options - Listing options
+     * @param {Date} [options.since] - Only return files modified at or after this date
+     * @returns {Promise<Array>} - Objects with Key, LastModified and Size
+     */
+    async list(options = {}) {
+      const files = [];
+      const pending = [""];
+
+      while (pending.length > 0) {
+        const relativeDir = pending.pop();
+        const entries = await fs.promises.readdir(
+          path.join(root, relativeDir),
+          {
+            withFileTypes: true,
+          }
+        );
+
+        for (const entry of entries) {
+          const relativePath = relativeDir
+            ? `${relativeDir}/${entry.name}`
+            : entry.name;
+
+          if (entry.isDirectory()) {
+            pending.push(relativePath);
+          } else if (entry.isFile()) {
+            const stats = await fs.promises.stat(path.join(root, relativePath));
+            if (!options.since || stats.mtime >= options.since) {
+              files.push(toEntry(relativePath, stats));
+            }
+          }
+        }
+      }
+
+      files.sort((a, b) => (a.Key < b.Key ? -1 : a.Key > b.Key ? 1 : 0));
+
+      console.log(`Found ${files.length} files in ${root}`);
+      return files;
+    },
+
+    /**
+     * Get the listing entry of a single file
+     * @param {string} key - Object key
+     * @returns {Promise<Object|null>} - Object with Key, LastModified and Size, or null
+     */
+    async stat(key) {
+      try {
+        const stats = await fs.promises.stat(resolveKey(key));
+        return stats.isFile() ? toEntry(key, stats) : null;
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+    },
+
+    /**
+     * Read a file as text
+     * @param {string} key - Object key
+     * @returns {Promise<string>} - File content
+     */
+    async read(key) {
+      try {
+        return await fs.promises.readFile(resolveKey(key), "utf-8");
+      } catch (error) {
+        console.error(`Error reading file ${key}:`, error);
+        throw error;
+      }
+    },
+
+    /**
+     * Read the raw bytes of a file (local files carry no content headers)
+     * @param {string} key - Object key
+     * @returns {Promise<Object>} - { body, contentType, contentEncoding }
+     */
+    async readBuffer(key) {
+      try {
+        const body = await fs.promises.readFile(resolveKey(key));
+        return { body, contentType: null, contentEncoding: null };
+      } catch (error) {
+        console.error(`Error reading file ${key}:`, error);
+        throw error;
+      }
+    },
+  };
+}
+
+module.exports = {
+  createLocalSource,
+};
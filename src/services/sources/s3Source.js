@@ -0,0 +1,82 @@
+const s3Service = require("../s3");
+const config = require("../../config");
+
+/**
+ * Create a storage source backed by the configured S3 bucket
+ * @returns {Object} - Source with id, list, stat, read and commitListing
+ */
+function createS3Source() {
+  // Notifications received by the last incremental listing
+  let receivedEvents = [];
+
+  return {
+    id: s3Service.getSourceId(),
+
+    /**
+     * List objects. Incremental listings read the bucket's event queue when
+     * one is configured; otherwise every page of the bucket is walked
+     * @param {Object} options - Listing options
+     * @param {Date} [options.since] - Only return objects modified at or after this date
+     * @param {Boolean} [options.incremental] - Resuming from a watermark
+     * @returns {Promise<Array>} - Objects with Key, LastModified and Size
+     */
+    async list(options = {}) {
+      if (options.incremental && config.s3.events.queueUrl) {
+        const { files, events } = await s3Service.getFilesFromEvents();
+        receivedEvents = events;
+        return files;
+      }
+      return options.since
+        ? s3Service.getFilesModifiedSince(options.since)
+        : s3Service.listAllFiles();
+    },
+
+    /**
+     * Delete the notifications of the last listing once the run handled them;
+     * those naming a failed file are kept and received again later
+     * @param {Array<string>} failedKeys - Keys that still need processing
+     * @returns {Promise<void>}
+     */
+    async commitListing(failedKeys = []) {
+      const failed = new Set(failedKeys);
+      const handled = receivedEvents.filter(
+        (event) => !event.keys.some((key) => failed.has(key))
+      );
+      receivedEvents = [];
+      if (handled.length > 0) {
+        await s3Service.deleteObjectEvents(handled);
+      }
+    },
+
+    /**
+     * Get the listing entry of a single object
+     * @param {string} key - Object key
+     * @returns {Promise<Object|null>} - Object with Key, LastModified and Size, or null
+     */
+    stat(key) {
+      return s3Service.getFileInfo(key);
+    },
+
+    /**
+     * Read an object as text
+     * @param {string} key - Object key
+     * @returns {Promise<string>} - File content
+     */
+    read(key) {
+      return s3Service.getFileContent(key);
+    },
+
+    /**
+     * Read the raw bytes of an object with its content headers
+     * @param {string} key - Object key
+     * @returns {Promise<Object>} - { body, contentType, contentEncoding }
+     */
+    readBuffer(key) {
+      return s3Service.getObjectBody(key);
+    },
+  };
+}
+
+module.exports = {
+  createS3Source,
+};
@@ -0,0 +1,140 @@
+// Query parameters that only track the visit and never change the page
+const TRACKING_PARAMS = [
+  /^utm_/i,
+  /^fbclid$/i,
+  /^gclid$/i,
+  /^dclid$/i,
+  /^msclkid$/i,
+  /^mc_(cid|eid)$/i,
+  /^_ga$/i,
+  /^igshid$/i,
+];
+
+// Host prefixes of mobile and AMP mirrors of the main site
+const MIRROR_HOST_PREFIX = /^(www\.|m\.|mobile\.|amp\.)/;
+
+// Path suffixes and query parameters of AMP variants
+const AMP_PATH_SUFFIX = /(\/amp\/?|\.amp(\.html)?)$/i;
+const AMP_PARAMS = [/^amp$/i, /^outputtype$/i, /^amp_js_v$/i, /^usqp$/i];
+
+/**
+ * Normalize a URL so different spellings of the same page compare equal
+ * Resolves it against the base URL, keeps only http(s), lower-cases the host,
+ * drops default ports, fragments and tracking parameters
+ * @param {string} value - Absolute or relative URL
+ * @param {string} [baseUrl] - URL to resolve relative URLs against
+ * @returns {string|null} - Normalized URL or null if it isn't a web URL
+ */
+function normalizeUrl(value, baseUrl) {
+  if (!value || typeof value !== "string") return null;
+
+  let url;
+  try {
+    url = new URL(value.trim(), baseUrl || undefined);
+  } catch (error) {
+    return null;
+  }
+  if (!["http:", "https:"].includes(url.protocol)) return null;
+
+  url.hostname = url.hostname.toLowerCase();
+  url.hash = "";
+  Array.from(url.searchParams.keys()).forEach((param) => {
+    if (TRACKING_PARAMS.some((pattern) => pattern.test(param))) {
+      url.searchParams.delete(param);
+    }
+  });
+
+  return url.href;
+}
+
+/**
+ * Canonicalize a URL so mirrors of the same story get the same key
+ * On top of normalizeUrl it forces https, drops www./m./mobile./amp. host
+ * prefixes, AMP path suffixes and parameters and trailing slashes, and sorts
+ * the remaining query parameters
+ * @param {string} value - Absolute or relative URL
+ * @param {string} [baseUrl] - URL to resolve relative URLs against
+ * @returns {string|null} - Canonical URL or null if it isn't a web URL
+ */
+function canonicalizeUrl(value, baseUrl) {
+  const normalized = normalizeUrl(value, baseUrl);
+  if (!normalized) return null;
+
+  const url = new URL(normalized);
+  url.protocol = "https:";
+  url.hostname = url.hostname.replace(MIRROR_HOST_PREFIX, "");
+
+  let pathname = url.pathname.replace(AMP_PATH_SUFFIX, "");
+  if (pathname.length > 1) pathname = pathname.replace(/\/+$/, "");
+  url.pathname = pathname || "/";
+
+  Array.from(url.searchParams.keys()).forEach((param) => {
+    if (AMP_PARAMS.some((pattern) => pattern.test(param))) {
+      url.searchParams.delete(param);
+    }
+  });
+  url.searchParams.sort();
+
+  return url.href;
+}
+
+/**
+ * Pick the canonical URL of a page and collect the URLs it is known under
+ * The page's own canonical link wins over the crawled URL, so an AMP or
+ * mobile copy is keyed like the desktop page it points to
+ * @param {string} url - Crawled URL (from the metadata)
+ * @param {Object} [links] - URLs declared by the page
+ * @param {string} [links.canonicalUrl] - rel=canonical (or og:url, JSON-LD url)
+ * @param {string} [links.ampUrl] - rel=amphtml
+ * @returns {Object} - { canonicalKey, canonicalUrl, urlVariants }; canonicalUrl is the normalized declared URL the key was derived from, null when it was ignored
+ */
+function resolveCanonical(url, links = {}) {
+  const crawled = canonicalizeUrl(url);
+  let declared = canonicalizeUrl(links.canonicalUrl);
+
+  // Ignore canonical links to another site or to the home page, some sites
+  // put the same one on every page and that would merge unrelated stories
+  if (declared && crawled) {
+    const declaredUrl = new URL(declared);
+    const crawledUrl = new URL(crawled);
+    if (
+      declaredUrl.hostname !== crawledUrl.hostname ||
+      (declaredUrl.pathname === "/" && crawledUrl.pathname !== "/")
+    ) {
+      declared = null;
+    }
+  }
+
+  const canonicalKey = declared || crawled;
+  const canonicalUrl = declared ? normalizeUrl(links.canonicalUrl) : null;
+  const urlVariants = [
+    ...new Set(
+      [url, links.canonicalUrl, links.ampUrl]
+        .map((variant) => normalizeUrl(variant))
+        .filter(Boolean)
+    ),
+  ];
+
+  return { canonicalKey, canonicalUrl, urlVariants };
+}
+
+/**
+ * Check whether a host belongs to a domain (the domain itself or a subdomain)
+ * A leading "www." is ignored on both sides
+ * @param {string} host - Host name, e.g. "www.example.com"
+ * @param {string} domain - Domain, e.g. "example.com"
+ * @returns {boolean} - Whether the host is on the domain
+ */
+function isSameSite(host, domain) {
+  if (!host || !domain) return false;
+  const bareHost = host.toLowerCase().replace(/^www\./, "");
+  const bareDomain = domain.toLowerCase().replace(/^www\./, "");
+  return bareHost === bareDomain || bareHost.endsWith(`.${bareDomain}`);
+}
+
+module.exports = {
+  normalizeUrl,
+  canonicalizeUrl,
+  resolveCanonical,
+  isSameSite,
+};
@@ -0,0 +1,79 @@
+const config = require("../config");
+
+/**
+ * Compare two listing positions ordered by last modified time, then key
+ * @param {Object} a - Position with lastModified (Date) and key
+ * @param {Object} b - Position with lastModified (Date) and key
+ * @returns {number} - Negative if a is before b, positive if after, 0 if equal
+ */
+function comparePositions(a, b) {
+  const timeDiff = a.lastModified.getTime() - b.lastModified.getTime();
+  if (timeDiff !== 0) return timeDiff;
+  return a.key.localeCompare(b.key);
+}
+
+/**
+ * Get the date from which listing should resume for a stored watermark
+ * The overlap window re-lists recent objects so that uploads which completed
+ * out of order are not missed; already processed files are skipped later on
+ * @param {Object} watermark - Stored watermark with lastModified and key
+ * @returns {Date} - Listing cutoff date
+ */
+function getListingCutoff(watermark) {
+  const cutoff = new Date(watermark.lastModified);
+  cutoff.setMinutes(cutoff.getMinutes() - config.watermark.overlapMinutes);
+  return cutoff;
+}
+
+/**
+ * Compute the next watermark after a run
+ * The watermark only advances up to (but not past) the earliest file that
+ * failed, so failed files are listed again on the next run
+ * @param {Object|null} current - Current watermark or null
+ * @param {Array} files - Listed S3 objects for this run
+ * @param {Array} failedKeys - Keys of files that failed to process
+ * @returns {Object|null} - Next watermark, or the current one if it should not move
+ */
+function advanceWatermark(current, files, failedKeys = []) {
+  const failed = new Set(failedKeys);
+  const positions = files.map((file) => ({
+    lastModified: file.LastModified,
+    key: file.Key,
+  }));
+
+  // Find the earliest failure, nothing at or after it may be passed
+  const earliestFailure = positions
+    .filter((position) => failed.has(position.key))
+    .sort(comparePositions)[0];
+
+  // A failure behind the current watermark rewinds it, so the file is listed again
+  if (
+    earliestFailure &&
+    current &&
+    comparePositions(earliestFailure, current) <= 0
+  ) {
+    return {
+      lastModified: new Date(earliestFailure.lastModified.getTime() - 1),
+      key: earliestFailure.key,
+    };
+  }
+
+  let next = current;
+  positions.forEach((position) => {
+    if (failed.has(position.key)) return;
+    if (earliestFailure && comparePositions(position, earliestFailure) >= 0) {
+      return;
+    }
+    if (!next || comparePositions(position, next) > 0) {
+      next = position;
+    }
+  });
+
+  return next;
+}
+
+module.exports = {
+  comparePositions,
+  getListingCutoff,
+  advanceWatermark,
+};
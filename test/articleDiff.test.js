@@ -0,0 +1,46 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const articleDiff = require("../src/services/articleDiff");
+
+// Stored before structured metadata was extracted: no authors, keywords or dates
+const baselineDocument = {
+  id: "example.com/abc123",
+  title: "Council approves new budget",
+  excerpt: "The council voted on Monday.",
+  content: "The council voted on Monday to approve the budget.",
+  url: "https://example.com/budget",
+};
+
+// The same page re-crawled, with list fields defaulted to []
+const recrawledArticle = {
+  ...baselineDocument,
+  title: " Council approves new budget ",
+  authors: [],
+  datePublished: null,
+  dateModified: null,
+  section: null,
+  keywords: [],
+  leadImage: null,
+};
+
+test("a baseline document and its re-crawl hash the same", () => {
+  assert.strictEqual(
+    articleDiff.computeContentHash(baselineDocument),
+    articleDiff.computeContentHash(recrawledArticle)
+  );
+  assert.deepStrictEqual(
+    articleDiff.diffArticles(baselineDocument, recrawledArticle),
+    []
+  );
+});
+
+test("authors found on a re-crawl are a change", () => {
+  const changes = articleDiff.diffArticles(baselineDocument, {
+    ...recrawledArticle,
+    authors: ["Jane Doe"],
+  });
+
+  assert.deepStrictEqual(changes, [
+    { field: "authors", before: null, after: ["Jane Doe"] },
+  ]);
+});
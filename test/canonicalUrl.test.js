@@ -0,0 +1,50 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { JSDOM } = require("jsdom");
+const metadataExtractor = require("../src/services/metadataExtractor");
+const urlNormalizer = require("../src/services/urlNormalizer");
+
+test("prefers the declared rel=canonical over og:url", () => {
+  const { document } = new JSDOM(`<head>
+    <meta property="og:url" content="https://m.example.com/story?utm_source=x">
+    <link rel="canonical" href="https://www.example.com/story">
+  </head>`).window;
+
+  const structured = metadataExtractor.extractStructuredMetadata(
+    document,
+    "https://www.example.com/story"
+  );
+  assert.strictEqual(structured.canonicalUrl, "https://www.example.com/story");
+  assert.strictEqual(structured.sources.canonicalUrl, "meta");
+});
+
+test("returns the normalized canonical URL the key is derived from", () => {
+  const canonical = urlNormalizer.resolveCanonical(
+    "https://m.example.com/story?fbclid=1",
+    { canonicalUrl: "https://www.example.com/story/?utm_source=feed#top" }
+  );
+
+  assert.strictEqual(canonical.canonicalUrl, "https://www.example.com/story/");
+  assert.strictEqual(canonical.canonicalKey, "https://example.com/story");
+});
+
+test("has no canonical URL when the declared one is ignored", () => {
+  const canonical = urlNormalizer.resolveCanonical(
+    "https://example.com/story",
+    { canonicalUrl: "https://example.com/" }
+  );
+
+  assert.strictEqual(canonical.canonicalUrl, null);
+  assert.strictEqual(canonical.canonicalKey, "https://example.com/story");
+});
+
+test("keeps non-default ports in the canonical key", () => {
+  assert.strictEqual(
+    urlNormalizer.canonicalizeUrl("http://www.example.com:8080/story/"),
+    "https://example.com:8080/story"
+  );
+  assert.strictEqual(
+    urlNormalizer.canonicalizeUrl("https://www.example.com:443/story"),
+    "https://example.com/story"
+  );
+});
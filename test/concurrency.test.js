@@ -0,0 +1,107 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const concurrency = require("../src/services/concurrency");
+
+const noDelay = { baseDelayMs: 0, maxDelayMs: 0 };
+
+/**
+ * Error the way the AWS SDK reports it
+ * @param {string} code - Error code
+ * @param {number} [statusCode] - HTTP status
+ * @returns {Error} - Error with code and statusCode
+ */
+function awsError(code, statusCode) {
+  return Object.assign(new Error(code), { code, statusCode });
+}
+
+test("runWithConcurrency never runs more workers than the limit", async () => {
+  let running = 0;
+  let peak = 0;
+
+  const results = await concurrency.runWithConcurrency(
+    Array.from({ length: 10 }, (_, index) => index),
+    3,
+    async (item) => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise((resolve) => setTimeout(resolve, 5 - (item % 3)));
+      running--;
+      return item * 2;
+    }
+  );
+
+  assert.strictEqual(peak, 3);
+  assert.deepStrictEqual(
+    results,
+    Array.from({ length: 10 }, (_, index) => index * 2)
+  );
+});
+
+test("runWithConcurrency handles no items", async () => {
+  assert.deepStrictEqual(
+    await concurrency.runWithConcurrency([], 4, async () => 1),
+    []
+  );
+});
+
+test("throttling, 5xx and network errors are retryable", () => {
+  assert.ok(concurrency.isRetryableError(awsError("SlowDown", 503)));
+  assert.ok(concurrency.isRetryableError(awsError("Unknown", 500)));
+  assert.ok(concurrency.isRetryableError(awsError("Unknown", 429)));
+  assert.ok(concurrency.isRetryableError(awsError("ECONNRESET")));
+  assert.ok(!concurrency.isRetryableError(awsError("NoSuchKey", 404)));
+  assert.ok(!concurrency.isRetryableError(awsError("AccessDenied", 403)));
+  assert.ok(!concurrency.isRetryableError(null));
+});
+
+test("retryWithBackoff retries transient errors until it succeeds", async () => {
+  let calls = 0;
+  const result = await concurrency.retryWithBackoff(async () => {
+    calls++;
+    if (calls < 3) throw awsError("SlowDown", 503);
+    return "body";
+  }, noDelay);
+
+  assert.deepStrictEqual(result, { value: "body", attempts: 3 });
+});
+
+test("retryWithBackoff gives up on non-retryable errors at once", async () => {
+  let calls = 0;
+  await assert.rejects(
+    concurrency.retryWithBackoff(async () => {
+      calls++;
+      throw awsError("NoSuchKey", 404);
+    }, noDelay),
+    (error) => error.code === "NoSuchKey" && error.attempts === 1
+  );
+  assert.strictEqual(calls, 1);
+});
+
+test("retryWithBackoff stops after maxAttempts", async () => {
+  let calls = 0;
+  await assert.rejects(
+    concurrency.retryWithBackoff(
+      async () => {
+        calls++;
+        throw awsError("ServiceUnavailable", 503);
+      },
+      { ...noDelay, maxAttempts: 4 }
+    ),
+    (error) => error.attempts === 4
+  );
+  assert.strictEqual(calls, 4);
+});
+
+test("backoff doubles per attempt up to the cap, with full jitter", (t) => {
+  const options = { baseDelayMs: 100, maxDelayMs: 1000 };
+  t.mock.method(Math, "random", () => 0.999999);
+
+  assert.strictEqual(concurrency.getBackoffDelay(1, options), 99);
+  assert.strictEqual(concurrency.getBackoffDelay(2, options), 199);
+  assert.strictEqual(concurrency.getBackoffDelay(4, options), 799);
+  assert.strictEqual(concurrency.getBackoffDelay(5, options), 999);
+  assert.strictEqual(concurrency.getBackoffDelay(10, options), 999);
+
+  Math.random.mock.mockImplementation(() => 0);
+  assert.strictEqual(concurrency.getBackoffDelay(4, options), 0);
+});
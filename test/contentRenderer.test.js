@@ -0,0 +1,60 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const config = require("../src/config");
+const contentRenderer = require("../src/services/contentRenderer");
+
+const sentence = "The quick brown fox jumps over the lazy dog & friends. ";
+
+test("keeps short content whole", () => {
+  const result = contentRenderer.renderContent(
+    "<div><p>Hello <b>world</b></p></div>",
+    "https://example.com/story"
+  );
+
+  assert.strictEqual(result.html, "<div><p>Hello <b>world</b></p></div>");
+  assert.strictEqual(result.markdown, "Hello **world**");
+  assert.strictEqual(result.truncated, false);
+});
+
+test("keeps a prefix of one very large <div>", (t) => {
+  const { maxHtmlLength, maxMarkdownLength } = config.content;
+  config.content.maxHtmlLength = 1000;
+  config.content.maxMarkdownLength = 500;
+  t.after(() => {
+    config.content.maxHtmlLength = maxHtmlLength;
+    config.content.maxMarkdownLength = maxMarkdownLength;
+  });
+
+  const result = contentRenderer.renderContent(
+    `<div>${sentence.repeat(200)}</div>`,
+    "https://example.com/story"
+  );
+
+  assert.strictEqual(result.truncated, true);
+  assert.ok(result.html.startsWith("<div>The quick brown fox"));
+  assert.ok(result.html.length > 900 && result.html.length <= 1000);
+  assert.ok(result.markdown.startsWith("The quick brown fox"));
+  assert.ok(result.markdown.length > 0 && result.markdown.length <= 500);
+});
+
+test("keeps the leading paragraphs of a large wrapped block", (t) => {
+  const { maxHtmlLength } = config.content;
+  config.content.maxHtmlLength = 1000;
+  t.after(() => {
+    config.content.maxHtmlLength = maxHtmlLength;
+  });
+
+  const paragraphs = Array.from(
+    { length: 20 },
+    (_, index) => `<p>Paragraph ${index}. ${sentence.repeat(2)}</p>`
+  ).join("");
+  const result = contentRenderer.renderContent(
+    `<div><section>${paragraphs}</section></div>`,
+    "https://example.com/story"
+  );
+
+  assert.strictEqual(result.truncated, true);
+  assert.ok(result.html.includes("Paragraph 0."));
+  assert.ok(!result.html.includes("Paragraph 19."));
+  assert.ok(result.html.length <= 1000);
+});
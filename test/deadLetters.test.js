@@ -0,0 +1,159 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { useMemoryDatabase } = require("./helpers/memoryDatabase");
+
+const database = useMemoryDatabase();
+const config = require("../src/config");
+const deadLettersModel = require("../src/models/deadLetters");
+const newsProcessor = require("../src/controllers/newsProcessor");
+const sources = require("../src/services/sources");
+
+const MINUTE = 60 * 1000;
+
+/**
+ * A collection of the in-memory database
+ * @param {string} name - Collection name
+ * @returns {Promise<Object>} - Collection
+ */
+const collectionOf = (name) => database.getCollection(name);
+
+/**
+ * A failure as collected by the pipeline
+ * @param {string} hash - Hash directory
+ * @param {Object} [fields] - Overrides
+ * @returns {Object} - Failure for recordFailures
+ */
+const failure = (hash, fields = {}) => ({
+  domain: "example.com",
+  hash,
+  stage: deadLettersModel.STAGES.DOWNLOAD,
+  error: "SlowDown",
+  errorClass: "throttled",
+  retryable: true,
+  key: `crawl/example.com/${hash}/page.html`,
+  files: [],
+  ...fields,
+});
+
+test("retry delays double up to the cap", (t) => {
+  const { baseDelayMs, maxDelayMs } = config.deadLetters;
+  t.after(() => {
+    Object.assign(config.deadLetters, { baseDelayMs, maxDelayMs });
+  });
+  config.deadLetters.baseDelayMs = 15 * MINUTE;
+  config.deadLetters.maxDelayMs = 90 * MINUTE;
+
+  assert.deepStrictEqual([1, 2, 3, 4, 8].map(deadLettersModel.getRetryDelay), [
+    15 * MINUTE,
+    30 * MINUTE,
+    60 * MINUTE,
+    90 * MINUTE,
+    90 * MINUTE,
+  ]);
+});
+
+test("entries are exhausted after maxAttempts failures", async (t) => {
+  const maxAttempts = config.deadLetters.maxAttempts;
+  t.after(() => {
+    config.deadLetters.maxAttempts = maxAttempts;
+  });
+  config.deadLetters.maxAttempts = 3;
+  const collection = await collectionOf(config.mongodb.collections.deadLetters);
+
+  const before = Date.now();
+  assert.deepStrictEqual(
+    await deadLettersModel.recordFailures([failure("h1")]),
+    { scheduledCount: 1, exhaustedCount: 0 }
+  );
+  const first = await collection.findOne({ _id: "example.com/h1" });
+  assert.strictEqual(first.status, "pending");
+  assert.strictEqual(first.attempts, 1);
+  assert.ok(
+    first.nextRetryAt.getTime() >= before + deadLettersModel.getRetryDelay(1)
+  );
+
+  await deadLettersModel.recordFailures([failure("h1")]);
+  assert.deepStrictEqual(
+    await deadLettersModel.recordFailures([failure("h1")]),
+    { scheduledCount: 0, exhaustedCount: 1 }
+  );
+  const exhausted = await collection.findOne({ _id: "example.com/h1" });
+  assert.strictEqual(exhausted.status, "exhausted");
+  assert.strictEqual(exhausted.attempts, 3);
+  assert.strictEqual(exhausted.nextRetryAt, null);
+  assert.deepStrictEqual(exhausted.firstFailedAt, first.firstFailedAt);
+});
+
+test("non-retryable failures are exhausted at once", async () => {
+  assert.deepStrictEqual(
+    await deadLettersModel.recordFailures([
+      failure("h2", { error: "NoSuchKey", retryable: false }),
+    ]),
+    { scheduledCount: 0, exhaustedCount: 1 }
+  );
+});
+
+test("dlq retry writes the links of a group that failed at the links stage", async (t) => {
+  const workers = config.parser.workers;
+  const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), "crawl-dump-"));
+  t.after(() => {
+    config.parser.workers = workers;
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  });
+  config.parser.workers = 0;
+
+  const paragraph =
+    "The council approved the budget after a long and contentious meeting " +
+    'with many speakers, see <a href="https://example.com/schools">schools</a>' +
+    ' and <a href="https://other.org/roads">roads</a> for the details. ';
+  const dir = path.join(rootDir, "crawl", "example.com", "h3");
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(
+    path.join(dir, "page.html"),
+    `<html><head><title>Budget</title></head><body><article>
+    <h1>Council approves budget</h1><p>${paragraph.repeat(8)}</p>
+    </article></body></html>`
+  );
+  fs.writeFileSync(
+    path.join(dir, "metadata.json"),
+    JSON.stringify({
+      url: "https://example.com/budget",
+      crawl_time: new Date().toISOString(),
+      depth: 1,
+    })
+  );
+  const source = sources.getSource({ type: "local", localDir: rootDir });
+  await newsProcessor.processRecentFiles(1, false, true, source);
+
+  // The article is stored but its links were lost
+  const links = await collectionOf(config.mongodb.collections.links);
+  assert.strictEqual(
+    (await links.deleteMany({ source: "example.com/h3" })).deletedCount,
+    2
+  );
+  const files = (await source.list()).map((file) => ({
+    key: file.Key,
+    filename: file.Key.split("/").pop(),
+    size: file.Size,
+    lastModified: file.LastModified,
+  }));
+  await deadLettersModel.recordFailures([
+    failure("h3", { stage: deadLettersModel.STAGES.LINKS, files }),
+  ]);
+
+  const { results } = await newsProcessor.retryDeadLetters(
+    { ids: ["example.com/h3"] },
+    { source }
+  );
+
+  assert.strictEqual(results.length, 1);
+  assert.strictEqual(
+    await links.countDocuments({ source: "example.com/h3" }),
+    2
+  );
+  const entries = await collectionOf(config.mongodb.collections.deadLetters);
+  assert.strictEqual(await entries.findOne({ _id: "example.com/h3" }), null);
+});
@@ -0,0 +1,191 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { useMemoryDatabase } = require("./helpers/memoryDatabase");
+
+const database = useMemoryDatabase();
+const config = require("../src/config");
+const duplicatesModel = require("../src/models/duplicates");
+const newsProcessor = require("../src/controllers/newsProcessor");
+const sources = require("../src/services/sources");
+
+const signature = Array.from({ length: 64 }, (_, index) => index);
+const bands = Array.from({ length: 16 }, (_, band) => `${band}:b${band}`);
+
+/**
+ * A fingerprinted article
+ * @param {string} id - Article id
+ * @param {Object} [fields] - Overrides
+ * @returns {Object} - Article with textHash, minhash and minhashBands
+ */
+const article = (id, fields = {}) => ({
+  _id: id,
+  id,
+  domain: id.split("/")[0],
+  url: `https://${id}`,
+  crawl_datetime: new Date("2024-05-01T10:00:00Z"),
+  textHash: `text-of-${id}`,
+  minhash: signature,
+  minhashBands: bands,
+  ...fields,
+});
+
+/**
+ * Store articles in the in-memory articles collection
+ * @param {Array} articles - Articles
+ * @returns {Promise<Object>} - Articles collection
+ */
+async function storeArticles(articles) {
+  const collection = await database.getCollection();
+  await collection.deleteMany({});
+  await collection.insertMany(articles);
+  const clusters = await database.getCollection(
+    config.mongodb.collections.duplicateClusters
+  );
+  await clusters.deleteMany({});
+  return collection;
+}
+
+test("exact copies and the closest candidates aren't cut off by the limit", async (t) => {
+  const candidateLimit = config.duplicates.candidateLimit;
+  t.after(() => {
+    config.duplicates.candidateLimit = candidateLimit;
+  });
+  config.duplicates.candidateLimit = 2;
+
+  // Unrelated texts that happen to share one band come first in the collection
+  const unrelated = ["a.com/1", "a.com/2", "a.com/3"].map((id) =>
+    article(id, { minhash: signature.map((value) => -value - 1) })
+  );
+  unrelated.forEach((item) => {
+    item.minhashBands = [bands[0], "1:other", "2:other"];
+  });
+  const close = article("b.com/close", {
+    minhash: signature.map((value, index) => (index < 8 ? -1 : value)),
+    minhashBands: [...bands.slice(2), "0:x", "1:x"],
+  });
+  const exact = article("c.com/copy", { textHash: "text-of-d.com/new" });
+  await storeArticles([...unrelated, close, exact]);
+
+  const clustered = await duplicatesModel.assignClusters([
+    article("d.com/new"),
+  ]);
+
+  assert.strictEqual(clustered.length, 1);
+  assert.strictEqual(clustered[0].matchType, "exact");
+  const clusters = await database.getCollection(
+    config.mongodb.collections.duplicateClusters
+  );
+  const cluster = await clusters.findOne({ _id: clustered[0].clusterId });
+  assert.deepStrictEqual(cluster.members.map((member) => member.id).sort(), [
+    "b.com/close",
+    "c.com/copy",
+    "d.com/new",
+  ]);
+});
+
+test("errors reach the caller instead of clustering nothing", async (t) => {
+  const collection = await database.getCollection();
+  t.mock.method(collection, "find", () => {
+    throw new Error("connection reset");
+  });
+
+  await assert.rejects(
+    duplicatesModel.assignClusters([article("d.com/new")]),
+    /connection reset/
+  );
+});
+
+test("revised articles leave their cluster", async () => {
+  const collection = await storeArticles([
+    article("a.com/1", { textHash: "same" }),
+    article("b.com/2", { textHash: "same" }),
+    article("c.com/3", { textHash: "other" }),
+    article("d.com/4", { textHash: "other" }),
+    article("e.com/5", {
+      textHash: "other",
+      crawl_datetime: new Date("2024-04-01T10:00:00Z"),
+    }),
+  ]);
+  await duplicatesModel.assignClusters([
+    article("b.com/2", { textHash: "same", minhashBands: [] }),
+    article("d.com/4", { textHash: "other", minhashBands: [] }),
+    article("e.com/5", { textHash: "other", minhashBands: [] }),
+  ]);
+
+  const changed = await duplicatesModel.removeFromClusters([
+    "b.com/2",
+    "e.com/5",
+  ]);
+  assert.strictEqual(changed, 2);
+
+  // A cluster left with one member is deleted
+  const clusters = await database.getCollection(
+    config.mongodb.collections.duplicateClusters
+  );
+  const remaining = await clusters.find({}).toArray();
+  assert.strictEqual(remaining.length, 1);
+  assert.deepStrictEqual(
+    remaining[0].members.map((member) => member.id).sort(),
+    ["c.com/3", "d.com/4"]
+  );
+
+  const stored = Object.fromEntries(
+    (await collection.find({}).toArray()).map((item) => [item._id, item])
+  );
+  assert.strictEqual(stored["a.com/1"].duplicateClusterId, undefined);
+  assert.strictEqual(stored["b.com/2"].duplicateClusterId, undefined);
+  assert.strictEqual(stored["e.com/5"].duplicateClusterId, undefined);
+  assert.strictEqual(stored["c.com/3"].duplicateClusterId, remaining[0]._id);
+  assert.strictEqual(
+    stored["c.com/3"].isLikelyOriginal || stored["d.com/4"].isLikelyOriginal,
+    true
+  );
+});
+
+test("a group whose clusters can't be saved is dead-lettered", async (t) => {
+  const workers = config.parser.workers;
+  const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), "crawl-dump-"));
+  t.after(() => {
+    config.parser.workers = workers;
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  });
+  config.parser.workers = 0;
+  t.mock.method(duplicatesModel, "assignClusters", async () => {
+    throw new Error("connection reset");
+  });
+
+  const dir = path.join(rootDir, "crawl", "example.com", "h1");
+  fs.mkdirSync(dir, { recursive: true });
+  const words = Array.from({ length: 120 }, (_, index) => `word${index}`);
+  fs.writeFileSync(
+    path.join(dir, "page.html"),
+    `<html><head><title>Budget</title></head><body><article>
+    <h1>Council approves budget</h1><p>${words.join(" ")}</p>
+    </article></body></html>`
+  );
+  fs.writeFileSync(
+    path.join(dir, "metadata.json"),
+    JSON.stringify({
+      url: "https://example.com/budget",
+      crawl_time: new Date().toISOString(),
+      depth: 1,
+    })
+  );
+
+  await newsProcessor.processRecentFiles(
+    1,
+    false,
+    true,
+    sources.getSource({ type: "local", localDir: rootDir })
+  );
+
+  const deadLetters = await database.getCollection(
+    config.mongodb.collections.deadLetters
+  );
+  const entry = await deadLetters.findOne({ _id: "example.com/h1" });
+  assert.strictEqual(entry.stage, "clusters");
+  assert.strictEqual(entry.status, "pending");
+});
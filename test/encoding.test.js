@@ -0,0 +1,100 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const zlib = require("zlib");
+const iconv = require("iconv-lite");
+const encoding = require("../src/services/encoding");
+
+const russian = "Новости дня: совет утвердил бюджет города на следующий год.";
+
+test("a byte order mark wins over declarations and is stripped", () => {
+  const body = Buffer.concat([
+    Buffer.from([0xef, 0xbb, 0xbf]),
+    Buffer.from(`<meta charset="windows-1251"><p>${russian}</p>`),
+  ]);
+
+  const decoded = encoding.decodeBody(body, {
+    contentType: "text/html; charset=iso-8859-1",
+  });
+  assert.strictEqual(decoded.encoding, "utf-8");
+  assert.strictEqual(decoded.encodingSource, "bom");
+  assert.ok(decoded.text.startsWith("<meta"));
+  assert.ok(decoded.text.includes(russian));
+});
+
+test("the Content-Type charset wins over the <meta> declaration", () => {
+  const body = iconv.encode(
+    `<meta charset="utf-8"><p>${russian}</p>`,
+    "koi8-r"
+  );
+
+  const decoded = encoding.decodeBody(body, {
+    contentType: 'text/html; charset="KOI8-R"',
+  });
+  assert.strictEqual(decoded.encoding, "koi8-r");
+  assert.strictEqual(decoded.encodingSource, "content-type");
+  assert.ok(decoded.text.includes(russian));
+});
+
+test("reads the <meta> charset and http-equiv declarations", () => {
+  const charset = iconv.encode(
+    `<head><meta charset=windows-1251></head><p>${russian}</p>`,
+    "windows-1251"
+  );
+  const httpEquiv = iconv.encode(
+    `<meta http-equiv="Content-Type" content="text/html; charset=cp1251">` +
+      `<p>${russian}</p>`,
+    "windows-1251"
+  );
+
+  [charset, httpEquiv].forEach((body) => {
+    const decoded = encoding.decodeBody(body);
+    assert.strictEqual(decoded.encodingSource, "meta");
+    assert.ok(decoded.text.includes(russian));
+  });
+});
+
+test("decodes latin1 labels as windows-1252", () => {
+  const body = Buffer.from([0x93, 0x51, 0x94]); // curly quotes around Q
+
+  const decoded = encoding.decodeBody(body, {
+    contentType: "text/html; charset=ISO-8859-1",
+  });
+  assert.strictEqual(decoded.encoding, "windows-1252");
+  assert.strictEqual(decoded.text, "“Q”");
+});
+
+test("ignores unknown labels and falls back to detection", () => {
+  const decoded = encoding.decodeBody(Buffer.from(`<p>${russian}</p>`), {
+    contentType: "text/html; charset=x-unknown",
+  });
+
+  assert.strictEqual(decoded.encoding, "utf-8");
+  assert.strictEqual(decoded.encodingSource, "statistical");
+});
+
+test("guesses undeclared legacy encodings", () => {
+  const body = iconv.encode(`<p>${russian.repeat(5)}</p>`, "windows-1251");
+
+  const decoded = encoding.decodeBody(body);
+  assert.strictEqual(decoded.encodingSource, "statistical");
+  assert.strictEqual(decoded.encoding, "windows-1251");
+  assert.ok(decoded.text.includes(russian));
+});
+
+test("decompresses gzip and brotli bodies", () => {
+  const html = `<p>${russian}</p>`;
+
+  const gzipped = encoding.decodeBody(zlib.gzipSync(html), {
+    key: "crawl/example.com/h1/page.html.gz",
+  });
+  assert.strictEqual(gzipped.compression, "gzip");
+  assert.strictEqual(gzipped.text, html);
+
+  const brotli = encoding.decodeBody(zlib.brotliCompressSync(html), {
+    contentEncoding: "br",
+  });
+  assert.strictEqual(brotli.compression, "br");
+  assert.strictEqual(brotli.text, html);
+
+  assert.strictEqual(encoding.decompress(Buffer.from(html)).compression, null);
+});
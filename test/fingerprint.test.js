@@ -0,0 +1,32 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fingerprint = require("../src/services/fingerprint");
+
+const story = Array.from(
+  { length: 60 },
+  (_, index) => `word${index % 23} story${index}`
+).join(" ");
+
+test("articles with enough words are fingerprinted", () => {
+  const fingerprints = fingerprint.computeFingerprints(story, "article", 50);
+
+  assert.ok(fingerprints.textHash);
+  assert.strictEqual(fingerprints.minhash.length, 64);
+  assert.strictEqual(fingerprints.minhashBands.length, 16);
+});
+
+test("challenge and consent pages are not fingerprinted", () => {
+  ["challenge", "consent", "unknown"].forEach((pageType) => {
+    assert.deepStrictEqual(
+      fingerprint.computeFingerprints(story, pageType, 50),
+      { textHash: null, minhash: null, minhashBands: [] }
+    );
+  });
+});
+
+test("texts shorter than minWords are not fingerprinted", () => {
+  assert.deepStrictEqual(
+    fingerprint.computeFingerprints("Please enable cookies.", "article", 50),
+    { textHash: null, minhash: null, minhashBands: [] }
+  );
+});
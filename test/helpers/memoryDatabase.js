@@ -0,0 +1,449 @@
+const config = require("../../src/config");
+
+/**
+ * In-memory stand-in for src/services/database, covering the query and
+ * update operators the models use, so the pipeline can run without MongoDB
+ */
+
+/**
+ * Values at a dotted path, descending into arrays of sub-documents
+ * @param {*} value - Document or sub-document
+ * @param {Array<string>} parts - Remaining path segments
+ * @returns {Array} - Values found (undefined when the path is missing)
+ */
+function getValues(value, parts) {
+  if (parts.length === 0) return [value];
+  if (Array.isArray(value)) {
+    return value.flatMap((item) => getValues(item, parts));
+  }
+  if (value === null || typeof value !== "object") return [undefined];
+  return getValues(value[parts[0]], parts.slice(1));
+}
+
+/**
+ * Compare two values the way MongoDB equality does for our documents
+ * @param {*} a - Value
+ * @param {*} b - Value
+ * @returns {boolean} - Whether they are equal
+ */
+function isEqual(a, b) {
+  if (a instanceof Date && b instanceof Date) {
+    return a.getTime() === b.getTime();
+  }
+  if (a === undefined) a = null;
+  if (b === undefined) b = null;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Check one field value (or the elements of an array value) against a condition
+ * @param {*} value - Field value
+ * @param {*} condition - Plain value or object of operators
+ * @returns {boolean} - Whether the value matches
+ */
+function matchesCondition(value, condition) {
+  const candidates = Array.isArray(value) ? [value, ...value] : [value];
+  const isOperator =
+    condition &&
+    typeof condition === "object" &&
+    !(condition instanceof Date) &&
+    Object.keys(condition).some((key) => key.startsWith("$"));
+
+  if (!isOperator) {
+    return candidates.some((candidate) => isEqual(candidate, condition));
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case "$eq":
+        return candidates.some((candidate) => isEqual(candidate, operand));
+      case "$ne":
+        return !candidates.some((candidate) => isEqual(candidate, operand));
+      case "$in":
+        return operand.some((item) =>
+          candidates.some((candidate) => isEqual(candidate, item))
+        );
+      case "$nin":
+        return !operand.some((item) =>
+          candidates.some((candidate) => isEqual(candidate, item))
+        );
+      case "$exists":
+        return (value !== undefined) === !!operand;
+      case "$gt":
+        return value != null && value > operand;
+      case "$gte":
+        return value != null && value >= operand;
+      case "$lt":
+        return value != null && value < operand;
+      case "$lte":
+        return value != null && value <= operand;
+      default:
+        throw new Error(`Unsupported query operator ${operator}`);
+    }
+  });
+}
+
+/**
+ * Check a document against a query
+ * @param {Object} doc - Document
+ * @param {Object} query - MongoDB query
+ * @returns {boolean} - Whether the document matches
+ */
+function matches(doc, query = {}) {
+  return Object.entries(query).every(([field, condition]) => {
+    if (field === "$or") return condition.some((part) => matches(doc, part));
+    if (field === "$and") return condition.every((part) => matches(doc, part));
+
+    const values = getValues(doc, field.split("."));
+    if (
+      condition &&
+      typeof condition === "object" &&
+      ("$ne" in condition || "$nin" in condition)
+    ) {
+      return values.every((value) => matchesCondition(value, condition));
+    }
+    return values.some((value) => matchesCondition(value, condition));
+  });
+}
+
+/**
+ * Set a dotted path on a document
+ * @param {Object} doc - Document
+ * @param {string} path - Dotted field path
+ * @param {*} value - New value
+ */
+function setPath(doc, path, value) {
+  const parts = path.split(".");
+  let target = doc;
+  parts.slice(0, -1).forEach((part) => {
+    if (!target[part] || typeof target[part] !== "object") target[part] = {};
+    target = target[part];
+  });
+  target[parts[parts.length - 1]] = value;
+}
+
+/**
+ * Apply an update document
+ * @param {Object} doc - Document, changed in place
+ * @param {Object} update - Update operators
+ * @param {boolean} inserted - Whether the document is being upserted
+ */
+function applyUpdate(doc, update, inserted) {
+  Object.entries(update).forEach(([operator, fields]) => {
+    Object.entries(fields).forEach(([path, value]) => {
+      switch (operator) {
+        case "$set":
+          setPath(doc, path, structuredClone(value));
+          break;
+        case "$setOnInsert":
+          if (inserted) setPath(doc, path, structuredClone(value));
+          break;
+        case "$unset":
+          delete doc[path];
+          break;
+        case "$inc":
+          doc[path] = (doc[path] || 0) + value;
+          break;
+        case "$addToSet": {
+          const items = value && value.$each ? value.$each : [value];
+          doc[path] = doc[path] || [];
+          items.forEach((item) => {
+            if (!doc[path].some((existing) => isEqual(existing, item))) {
+              doc[path].push(structuredClone(item));
+            }
+          });
+          break;
+        }
+        default:
+          throw new Error(`Unsupported update operator ${operator}`);
+      }
+    });
+  });
+}
+
+/**
+ * Sort documents by a MongoDB sort specification
+ * @param {Array} docs - Documents
+ * @param {Object} spec - Field to 1 or -1
+ * @returns {Array} - Sorted copy
+ */
+function sortDocuments(docs, spec) {
+  const fields = Object.entries(spec);
+  return [...docs].sort((a, b) => {
+    for (const [field, direction] of fields) {
+      const left = getValues(a, field.split("."))[0] ?? null;
+      const right = getValues(b, field.split("."))[0] ?? null;
+      if (left === right) continue;
+      if (left === null) return -direction;
+      if (right === null) return direction;
+      if (left < right) return -direction;
+      if (left > right) return direction;
+    }
+    return 0;
+  });
+}
+
+/**
+ * Evaluate an aggregation expression against a document
+ * @param {Object} doc - Document
+ * @param {*} expression - Field path ("$field"), literal or operator object
+ * @returns {*} - Value
+ */
+function evaluate(doc, expression) {
+  if (typeof expression === "string" && expression.startsWith("$")) {
+    return getValues(doc, expression.slice(1).split("."))[0];
+  }
+  if (Array.isArray(expression)) {
+    return expression.map((item) => evaluate(doc, item));
+  }
+  if (!expression || typeof expression !== "object") return expression;
+
+  const [operator, operand] = Object.entries(expression)[0];
+  switch (operator) {
+    case "$literal":
+      return operand;
+    case "$size":
+      return evaluate(doc, operand).length;
+    case "$setIntersection": {
+      const [first, ...others] = operand.map((item) => evaluate(doc, item));
+      return [...new Set(first || [])].filter((value) =>
+        others.every((other) => (other || []).some((v) => isEqual(v, value)))
+      );
+    }
+    default:
+      throw new Error(`Unsupported expression operator ${operator}`);
+  }
+}
+
+/**
+ * Run the aggregation stages the models use ($match, $project, $sort, $limit)
+ * @param {Array} docs - Documents
+ * @param {Array} pipeline - Aggregation stages
+ * @returns {Array} - Resulting documents
+ */
+function aggregateDocuments(docs, pipeline) {
+  return pipeline.reduce((current, stage) => {
+    const [name, spec] = Object.entries(stage)[0];
+    switch (name) {
+      case "$match":
+        return current.filter((doc) => matches(doc, spec));
+      case "$project":
+        return current.map((doc) => {
+          const projected = { _id: doc._id };
+          Object.entries(spec).forEach(([field, value]) => {
+            if (value === 0 || value === false) {
+              delete projected[field];
+            } else if (value === 1 || value === true) {
+              if (doc[field] !== undefined) projected[field] = doc[field];
+            } else {
+              projected[field] = evaluate(doc, value);
+            }
+          });
+          return projected;
+        });
+      case "$sort":
+        return sortDocuments(current, spec);
+      case "$limit":
+        return current.slice(0, spec);
+      default:
+        throw new Error(`Unsupported aggregation stage ${name}`);
+    }
+  }, docs);
+}
+
+/**
+ * Create an in-memory collection
+ * @returns {Object} - Collection with the driver methods the models call
+ */
+function createCollection() {
+  const documents = new Map();
+  let nextId = 1;
+
+  const find = (query) =>
+    [...documents.values()].filter((doc) => matches(doc, query));
+
+  const insert = (doc) => {
+    const document = structuredClone(doc);
+    if (document._id === undefined) document._id = `generated-${nextId++}`;
+    if (documents.has(document._id)) {
+      const error = new Error(`E11000 duplicate key: ${document._id}`);
+      error.code = 11000;
+      throw error;
+    }
+    documents.set(document._id, document);
+  };
+
+  const update = (filter, updateDoc, options, many) => {
+    const matched = [...find(filter)];
+    const targets = many ? matched : matched.slice(0, 1);
+    targets.forEach((doc) => applyUpdate(doc, updateDoc, false));
+    if (targets.length > 0 || !options.upsert) {
+      return { matchedCount: targets.length, modifiedCount: targets.length };
+    }
+
+    // Upserts start from the equality fields of the filter
+    const doc = {};
+    Object.entries(filter).forEach(([field, value]) => {
+      if (!field.startsWith("$") && !(value && typeof value === "object")) {
+        setPath(doc, field, value);
+      }
+    });
+    applyUpdate(doc, updateDoc, true);
+    insert(doc);
+    return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1 };
+  };
+
+  const deleteMatching = (filter, many) => {
+    const targets = [...find(filter)];
+    (many ? targets : targets.slice(0, 1)).forEach((doc) =>
+      documents.delete(doc._id)
+    );
+    return {
+      deletedCount: many ? targets.length : Math.min(1, targets.length),
+    };
+  };
+
+  const cursor = (query) => {
+    let sort = null;
+    let skip = 0;
+    let limit = 0;
+    const results = () => {
+      let docs = [...find(query)];
+      if (sort) docs = sortDocuments(docs, sort);
+      docs = docs.slice(skip, limit ? skip + limit : undefined);
+      return docs.map((doc) => structuredClone(doc));
+    };
+    const self = {
+      project: () => self,
+      sort: (spec) => {
+        sort = spec;
+        return self;
+      },
+      skip: (count) => {
+        skip = count;
+        return self;
+      },
+      limit: (count) => {
+        limit = count;
+        return self;
+      },
+      toArray: async () => results(),
+      [Symbol.asyncIterator]: async function* () {
+        yield* results();
+      },
+    };
+    return self;
+  };
+
+  return {
+    documents,
+    find: (query = {}) => cursor(query),
+    findOne: async (query = {}) => {
+      const [doc] = find(query);
+      return doc ? structuredClone(doc) : null;
+    },
+    countDocuments: async (query = {}) => [...find(query)].length,
+    distinct: async (field, query = {}) => [
+      ...new Set(
+        find(query).flatMap((doc) =>
+          getValues(doc, field.split(".")).filter((value) => value != null)
+        )
+      ),
+    ],
+    insertOne: async (doc) => {
+      insert(doc);
+      return { insertedId: doc._id };
+    },
+    insertMany: async (docs) => {
+      docs.forEach(insert);
+      return { insertedCount: docs.length };
+    },
+    updateOne: async (filter, updateDoc, options = {}) =>
+      update(filter, updateDoc, options, false),
+    updateMany: async (filter, updateDoc, options = {}) =>
+      update(filter, updateDoc, options, true),
+    deleteOne: async (filter) => deleteMatching(filter, false),
+    deleteMany: async (filter) => deleteMatching(filter, true),
+    bulkWrite: async (ops) => {
+      const result = {
+        insertedCount: 0,
+        upsertedCount: 0,
+        matchedCount: 0,
+        modifiedCount: 0,
+        deletedCount: 0,
+      };
+      ops.forEach((op) => {
+        const [type, args] = Object.entries(op)[0];
+        let outcome;
+        if (type === "insertOne") {
+          insert(args.document);
+          outcome = { insertedCount: 1 };
+        } else if (type === "updateOne" || type === "updateMany") {
+          outcome = update(
+            args.filter,
+            args.update,
+            { upsert: args.upsert },
+            type === "updateMany"
+          );
+        } else if (type === "deleteOne" || type === "deleteMany") {
+          outcome = deleteMatching(args.filter, type === "deleteMany");
+        } else {
+          throw new Error(`Unsupported bulk operation ${type}`);
+        }
+        Object.entries(outcome).forEach(([key, count]) => {
+          result[key] += count;
+        });
+      });
+      return result;
+    },
+    aggregate: (pipeline) => ({
+      toArray: async () =>
+        aggregateDocuments(find({}), pipeline).map((doc) =>
+          structuredClone(doc)
+        ),
+    }),
+    createIndex: async () => "index",
+    createIndexes: async (specs) => specs.map(() => "index"),
+  };
+}
+
+/**
+ * Create an in-memory database with the interface of src/services/database
+ * @returns {Object} - { collections, getCollection, isConnectionError, close, redactUri }
+ */
+function createMemoryDatabase() {
+  const collections = new Map();
+
+  return {
+    collections,
+    async getCollection(name = config.mongodb.collections.articles) {
+      if (!collections.has(name)) collections.set(name, createCollection());
+      return collections.get(name);
+    },
+    isConnectionError: () => false,
+    close: async () => {},
+    redactUri: (uri) => uri,
+  };
+}
+
+/**
+ * Replace src/services/database with an in-memory database for the modules
+ * required afterwards
+ * @returns {Object} - Database from createMemoryDatabase
+ */
+function useMemoryDatabase() {
+  const database = createMemoryDatabase();
+  const modulePath = require.resolve("../../src/services/database");
+  require.cache[modulePath] = {
+    id: modulePath,
+    filename: modulePath,
+    loaded: true,
+    exports: database,
+  };
+  return database;
+}
+
+module.exports = {
+  createMemoryDatabase,
+  useMemoryDatabase,
+};
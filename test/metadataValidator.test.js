@@ -0,0 +1,97 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  REASON_CODES,
+  validateMetadata,
+  invalidJsonResult,
+} = require("../src/services/metadataValidator");
+
+const valid = {
+  url: "https://www.example.com/budget",
+  crawl_time: "2024-05-01T10:00:00Z",
+  depth: 1,
+};
+
+/**
+ * Reason codes of a validation result, as "field:code" strings
+ * @param {Object} result - Result of validateMetadata
+ * @returns {Array<string>} - Violations
+ */
+const codesOf = (result) =>
+  result.violations.map((item) => `${item.field}:${item.code}`);
+
+test("accepts metadata matching the schema", () => {
+  const result = validateMetadata(valid, { domain: "example.com" });
+
+  assert.deepStrictEqual(result, {
+    valid: true,
+    violations: [],
+    urlUsable: true,
+  });
+  assert.ok(validateMetadata({ ...valid, crawl_time: 1714557600000 }).valid);
+});
+
+test("reports invalid JSON and non-object metadata", () => {
+  const invalidJson = invalidJsonResult(new Error("Unexpected token"));
+  assert.deepStrictEqual(codesOf(invalidJson), [
+    `null:${REASON_CODES.INVALID_JSON}`,
+  ]);
+  assert.strictEqual(invalidJson.urlUsable, false);
+
+  [null, [], "https://example.com/"].forEach((metadata) => {
+    const result = validateMetadata(metadata);
+    assert.deepStrictEqual(codesOf(result), ["null:not_an_object"]);
+    assert.strictEqual(result.urlUsable, false);
+  });
+});
+
+test("reports missing fields and wrong types per field", () => {
+  const result = validateMetadata({ url: "", crawl_time: true, depth: "1" });
+
+  assert.deepStrictEqual(codesOf(result), [
+    "url:missing_field",
+    "crawl_time:wrong_type",
+    "depth:wrong_type",
+  ]);
+  assert.strictEqual(result.valid, false);
+  assert.strictEqual(result.urlUsable, false);
+});
+
+test("reports invalid and unsupported URLs", () => {
+  assert.deepStrictEqual(
+    codesOf(validateMetadata({ ...valid, url: "not a url" })),
+    ["url:invalid_url"]
+  );
+
+  const ftp = validateMetadata({ ...valid, url: "ftp://example.com/file" });
+  assert.deepStrictEqual(codesOf(ftp), ["url:unsupported_url_scheme"]);
+  assert.strictEqual(ftp.urlUsable, false);
+});
+
+test("a URL on another host is invalid but still usable", () => {
+  const result = validateMetadata(
+    { ...valid, url: "https://other.org/budget" },
+    { domain: "example.com" }
+  );
+
+  assert.deepStrictEqual(codesOf(result), ["url:url_host_mismatch"]);
+  assert.strictEqual(result.valid, false);
+  assert.strictEqual(result.urlUsable, true);
+});
+
+test("reports unparseable crawl times and bad depths", () => {
+  const result = validateMetadata({
+    ...valid,
+    crawl_time: "yesterday",
+    depth: -1,
+  });
+
+  assert.deepStrictEqual(codesOf(result), [
+    "crawl_time:invalid_crawl_time",
+    "depth:invalid_depth",
+  ]);
+  assert.strictEqual(result.urlUsable, true);
+  assert.deepStrictEqual(codesOf(validateMetadata({ ...valid, depth: 1.5 })), [
+    "depth:invalid_depth",
+  ]);
+});
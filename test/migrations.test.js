@@ -0,0 +1,86 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { useMemoryDatabase } = require("./helpers/memoryDatabase");
+
+const database = useMemoryDatabase();
+const config = require("../src/config");
+const migrations = require("../src/migrations");
+const migrationsController = require("../src/controllers/migrations");
+
+const removeDuplicates = migrations.find((migration) => migration.destructive);
+
+/**
+ * Forget the applied migrations
+ * @returns {Promise<void>}
+ */
+async function resetMigrations() {
+  const collection = await database.getCollection(
+    config.mongodb.collections.migrations
+  );
+  await collection.deleteMany({});
+}
+
+/**
+ * Versions of the applied migrations
+ * @returns {Promise<Array<number>>} - Applied versions
+ */
+async function appliedVersions() {
+  return (await migrationsController.getMigrationStatus())
+    .filter((migration) => migration.applied)
+    .map((migration) => migration.version);
+}
+
+test("a destructive migration with documents to delete waits for --apply", async (t) => {
+  await resetMigrations();
+  t.mock.method(removeDuplicates, "plan", async () => ({
+    changes: 2,
+    duplicatedPairs: 1,
+    staleDocuments: 2,
+    pairIds: ["example.com/h1"],
+  }));
+  const up = t.mock.method(removeDuplicates, "up", async () => ({
+    duplicatedPairs: 1,
+    deletedDocuments: 2,
+    pairIds: ["example.com/h1"],
+  }));
+
+  const { applied, blocked } = await migrationsController.runMigrations();
+  assert.deepStrictEqual(applied, []);
+  assert.strictEqual(blocked.version, removeDuplicates.version);
+  await assert.rejects(
+    migrationsController.applyPendingMigrations(),
+    /migrate up --apply/
+  );
+  assert.strictEqual(up.mock.callCount(), 0);
+  assert.deepStrictEqual(await appliedVersions(), []);
+
+  await migrationsController.runMigrations({ apply: true });
+  assert.strictEqual(up.mock.callCount(), 1);
+  assert.deepStrictEqual(
+    await appliedVersions(),
+    migrations.map((migration) => migration.version)
+  );
+});
+
+test("pending migrations are applied before processing when nothing would be deleted", async (t) => {
+  await resetMigrations();
+  t.mock.method(removeDuplicates, "plan", async () => ({
+    changes: 0,
+    duplicatedPairs: 0,
+    staleDocuments: 0,
+    pairIds: [],
+  }));
+  const up = t.mock.method(removeDuplicates, "up", async () => ({
+    duplicatedPairs: 0,
+    deletedDocuments: 0,
+    pairIds: [],
+  }));
+
+  await migrationsController.applyPendingMigrations();
+
+  assert.strictEqual(up.mock.callCount(), 1);
+  assert.deepStrictEqual(
+    await appliedVersions(),
+    migrations.map((migration) => migration.version)
+  );
+});
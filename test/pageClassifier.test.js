@@ -0,0 +1,67 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { JSDOM } = require("jsdom");
+const pageClassifier = require("../src/services/pageClassifier");
+
+const documentFrom = (html) => new JSDOM(html).window.document;
+const paragraph = "Lorem ipsum dolor sit amet, consectetur adipiscing elit. ";
+
+test("labels a page with extracted text as article", () => {
+  const document = documentFrom(
+    `<title>Story</title><body><p>${paragraph.repeat(40)}</p></body>`
+  );
+  const article = { textContent: paragraph.repeat(40) };
+
+  assert.strictEqual(
+    pageClassifier.classifyPage(document, article).pageType,
+    "article"
+  );
+});
+
+test("labels a page without an extracted article as unknown", () => {
+  const document = documentFrom(
+    `<title>Story</title><body><p>${paragraph}</p></body>`
+  );
+
+  const result = pageClassifier.classifyPage(document, null);
+  assert.strictEqual(result.pageType, "unknown");
+  assert.deepStrictEqual(result.signals, ["no-extracted-text"]);
+});
+
+test("labels a page with empty extracted text as unknown", () => {
+  const document = documentFrom(`<title>Story</title><body></body>`);
+
+  assert.strictEqual(
+    pageClassifier.classifyPage(document, { textContent: "  " }).pageType,
+    "unknown"
+  );
+});
+
+test("keeps the challenge label when nothing was extracted", () => {
+  const document = documentFrom(
+    `<title>Just a moment...</title><body><div id="challenge-form"></div></body>`
+  );
+
+  assert.strictEqual(
+    pageClassifier.classifyPage(document, null).pageType,
+    "challenge"
+  );
+});
+
+test("labels a page with too little extracted text as unknown", () => {
+  const document = documentFrom(`<title>Story</title><body><p>Hi</p></body>`);
+
+  const result = pageClassifier.classifyPage(document, { textContent: "Hi" });
+  assert.strictEqual(result.pageType, "unknown");
+  assert.deepStrictEqual(result.signals, ["short-extracted-text:2"]);
+  assert.strictEqual(
+    pageClassifier.classifyPage(
+      document,
+      { textContent: "Hi" },
+      {
+        minContentLength: 2,
+      }
+    ).pageType,
+    "article"
+  );
+});
@@ -0,0 +1,67 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const parserPool = require("../src/services/parserPool");
+
+const paragraph =
+  "The council approved the budget after a long and contentious meeting " +
+  "with many speakers from the community. ";
+const page = `<html><head><title>Council approves budget</title></head>
+<body><article><h1>Council approves budget</h1>
+<p>${paragraph.repeat(10)}</p></article></body></html>`;
+const url = "https://example.com/budget";
+
+test("parses on the main thread with a size of 0", async () => {
+  const pool = parserPool.createParserPool({ size: 0 });
+
+  const result = await pool.parsePage(page, url);
+  assert.strictEqual(pool.size, 0);
+  assert.strictEqual(result.pageType, "article");
+  await pool.close();
+});
+
+test("worker boot doesn't count against the page timeout", async (t) => {
+  // Loading JSDOM in a new worker alone takes longer than this timeout
+  const pool = parserPool.createParserPool({ size: 1, timeoutMs: 500 });
+  t.after(() => pool.close());
+
+  const results = await Promise.all([
+    pool.parsePage(page, url),
+    pool.parsePage(page, url),
+  ]);
+  results.forEach((result) => assert.strictEqual(result.pageType, "article"));
+});
+
+test("a page running past the timeout fails and its worker is replaced", async (t) => {
+  const pool = parserPool.createParserPool({ size: 1, timeoutMs: 1 });
+  t.after(() => pool.close());
+
+  await assert.rejects(pool.parsePage(page, url), { code: "PARSE_TIMEOUT" });
+  await assert.rejects(pool.parsePage(page, url), { code: "PARSE_TIMEOUT" });
+});
+
+test("a worker that doesn't start in time fails its page", async (t) => {
+  const pool = parserPool.createParserPool({
+    size: 1,
+    timeoutMs: 5000,
+    bootTimeoutMs: 1,
+  });
+  t.after(() => pool.close());
+
+  await assert.rejects(pool.parsePage(page, url), {
+    code: "PARSE_TIMEOUT",
+    message: /didn't start/,
+  });
+});
+
+test("closing the pool rejects queued pages", async () => {
+  const pool = parserPool.createParserPool({ size: 1 });
+  const running = pool.parsePage(page, url);
+  const queued = pool.parsePage(page, url);
+
+  await Promise.all([
+    assert.rejects(queued, /Parser pool is closed/),
+    assert.rejects(running, { code: "PARSE_WORKER_EXIT" }),
+    pool.close(),
+  ]);
+  await assert.rejects(pool.parsePage(page, url), /Parser pool is closed/);
+});
@@ -0,0 +1,94 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { useMemoryDatabase } = require("./helpers/memoryDatabase");
+
+const database = useMemoryDatabase();
+const config = require("../src/config");
+const newsProcessor = require("../src/controllers/newsProcessor");
+const sources = require("../src/services/sources");
+
+const paragraph =
+  "The council approved the budget after a long and contentious meeting " +
+  "with many speakers from the community, who asked about schools, roads " +
+  "and the new library planned for the north side of town.";
+
+const page = `<html lang="en"><head><title>Council approves budget</title></head>
+<body><article><h1>Council approves budget</h1>
+${Array.from({ length: 6 }, () => `<p>${paragraph}</p>`).join("\n")}
+</article></body></html>`;
+
+/**
+ * Write a crawled page (and its metadata unless null) to the dump directory
+ * @param {string} rootDir - Dump directory
+ * @param {string} hash - Hash directory
+ * @param {Object|null} metadata - Metadata to write
+ */
+function writeGroup(rootDir, hash, metadata) {
+  const dir = path.join(rootDir, "crawl", "example.com", hash);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, "page.html"), page);
+  if (metadata) {
+    fs.writeFileSync(path.join(dir, "metadata.json"), JSON.stringify(metadata));
+  }
+}
+
+/**
+ * All documents of a collection
+ * @param {string} name - Collection name
+ * @returns {Promise<Array>} - Documents
+ */
+async function documentsOf(name) {
+  const collection = await database.getCollection(name);
+  return collection.find({}).toArray();
+}
+
+test("processes a local crawl dump and resumes from the watermark", async (t) => {
+  const workers = config.parser.workers;
+  const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), "crawl-dump-"));
+  t.after(() => {
+    config.parser.workers = workers;
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  });
+  config.parser.workers = 0;
+
+  writeGroup(rootDir, "h1", {
+    url: "https://example.com/budget",
+    crawl_time: new Date().toISOString(),
+    depth: 1,
+  });
+  writeGroup(rootDir, "h2", null);
+
+  const source = sources.getSource({ type: "local", localDir: rootDir });
+  const result = await newsProcessor.processRecentFiles(1, false, true, source);
+
+  assert.deepStrictEqual(
+    result.articles.map((article) => article.id),
+    ["example.com/h1"]
+  );
+
+  const articles = await documentsOf(config.mongodb.collections.articles);
+  assert.deepStrictEqual(
+    articles.map((article) => article._id),
+    ["example.com/h1"]
+  );
+
+  const pairs = await documentsOf(config.mongodb.collections.processedFiles);
+  const statuses = Object.fromEntries(
+    pairs.map((pair) => [pair.pair_id, pair.status])
+  );
+  assert.deepStrictEqual(statuses, {
+    "example.com/h1": "success",
+    "example.com/h2": "awaiting_metadata",
+  });
+
+  const watermarks = await documentsOf(config.mongodb.collections.watermarks);
+  assert.strictEqual(watermarks.length, 1);
+  assert.strictEqual(watermarks[0]._id, source.id);
+
+  // Nothing changed on disk, so the next run has nothing to process
+  const rerun = await newsProcessor.processRecentFiles(1, false, true, source);
+  assert.strictEqual(rerun.articles.length, 0);
+});
@@ -0,0 +1,67 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { useMemoryDatabase } = require("./helpers/memoryDatabase");
+
+const database = useMemoryDatabase();
+const config = require("../src/config");
+const processedFilesModel = require("../src/models/processedFiles");
+
+const files = {
+  "crawl/example.com/h1/page.html": "2024-05-01T10:00:00.000Z",
+  "crawl/example.com/h1/metadata.json": "2024-05-01T10:00:00.000Z",
+};
+
+/**
+ * The stored document of a pair
+ * @param {string} pairId - Pair id
+ * @returns {Promise<Object>} - Processed file pair
+ */
+async function storedPair(pairId) {
+  const collection = await database.getCollection(
+    config.mongodb.collections.processedFiles
+  );
+  return collection.findOne({ pair_id: pairId });
+}
+
+test("reprocessing keeps processedAt and records reprocessedAt", async () => {
+  await processedFilesModel.saveProcessedFiles(files);
+  const first = await storedPair("example.com/h1");
+  assert.strictEqual(first.reprocessedAt, undefined);
+
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  await processedFilesModel.saveProcessedFiles(
+    files,
+    {},
+    { "example.com/h1": { pageType: "article" } },
+    { reprocessed: true }
+  );
+
+  const reprocessed = await storedPair("example.com/h1");
+  assert.deepStrictEqual(reprocessed.processedAt, first.processedAt);
+  assert.ok(reprocessed.reprocessedAt > first.processedAt);
+  assert.strictEqual(reprocessed.pageType, "article");
+});
+
+test("a reprocessed pair that wasn't stored gets a processedAt", async () => {
+  await processedFilesModel.saveProcessedFiles(
+    { "crawl/example.com/h2/page.html": "2024-05-01T10:00:00.000Z" },
+    {},
+    {},
+    { reprocessed: true }
+  );
+
+  const pair = await storedPair("example.com/h2");
+  assert.ok(pair.processedAt instanceof Date);
+  assert.deepStrictEqual(pair.reprocessedAt, pair.processedAt);
+});
+
+test("looks up the processed files of the given pairs only", async () => {
+  assert.deepStrictEqual(
+    await processedFilesModel.getProcessedFiles(["example.com/h1"]),
+    files
+  );
+  assert.deepStrictEqual(
+    await processedFilesModel.getProcessedFiles(["example.com/missing"]),
+    {}
+  );
+});
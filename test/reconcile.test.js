@@ -0,0 +1,67 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { useMemoryDatabase } = require("./helpers/memoryDatabase");
+
+useMemoryDatabase();
+const config = require("../src/config");
+const processedFilesModel = require("../src/models/processedFiles");
+
+const MINUTE = 60 * 1000;
+
+test("re-check delays double up to the cap", (t) => {
+  const { reconcileBaseDelayMs, reconcileMaxDelayMs } = config.pipeline;
+  t.after(() => {
+    Object.assign(config.pipeline, {
+      reconcileBaseDelayMs,
+      reconcileMaxDelayMs,
+    });
+  });
+  config.pipeline.reconcileBaseDelayMs = 15 * MINUTE;
+  config.pipeline.reconcileMaxDelayMs = 60 * MINUTE;
+
+  assert.deepStrictEqual(
+    [1, 2, 3, 4, 10].map(processedFilesModel.getReconcileDelay),
+    [15 * MINUTE, 30 * MINUTE, 60 * MINUTE, 60 * MINUTE, 60 * MINUTE]
+  );
+});
+
+test("a pair still missing its file isn't re-checked until it is due", async () => {
+  await processedFilesModel.saveProcessedFiles({
+    "crawl/example.com/h1/page.html": "2024-05-01T10:00:00.000Z",
+  });
+
+  const [pair] = await processedFilesModel.getIncompletePairs({
+    dueBefore: new Date(),
+  });
+  assert.strictEqual(pair.pair_id, "example.com/h1");
+
+  await processedFilesModel.scheduleReconcileChecks([pair]);
+  assert.deepStrictEqual(
+    await processedFilesModel.getIncompletePairs({ dueBefore: new Date() }),
+    []
+  );
+
+  const later = new Date(
+    Date.now() + config.pipeline.reconcileBaseDelayMs + MINUTE
+  );
+  const [due] = await processedFilesModel.getIncompletePairs({
+    dueBefore: later,
+  });
+  assert.strictEqual(due.reconcileChecks, 1);
+
+  // The next miss waits twice as long
+  await processedFilesModel.scheduleReconcileChecks([due]);
+  assert.deepStrictEqual(
+    await processedFilesModel.getIncompletePairs({ dueBefore: later }),
+    []
+  );
+
+  // Saving the pair again starts over
+  await processedFilesModel.saveProcessedFiles({
+    "crawl/example.com/h1/page.html": "2024-05-01T11:00:00.000Z",
+  });
+  const [resaved] = await processedFilesModel.getIncompletePairs({
+    dueBefore: new Date(),
+  });
+  assert.strictEqual(resaved.reconcileChecks, 0);
+});
@@ -0,0 +1,52 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const config = require("../src/config");
+const s3Service = require("../src/services/s3");
+
+const record = (eventName, key, bucket = config.s3.bucket) => ({
+  eventName,
+  s3: { bucket: { name: bucket }, object: { key, size: 10 } },
+});
+
+test("reads created object keys from an S3 notification", () => {
+  const body = JSON.stringify({
+    Records: [
+      record("ObjectCreated:Put", "crawl/a.com/1/page.html"),
+      record(
+        "ObjectCreated:CompleteMultipartUpload",
+        "crawl/b.com/caf%C3%A9+2/metadata.json"
+      ),
+      record("ObjectRemoved:Delete", "crawl/c.com/3/page.html"),
+      record("ObjectCreated:Put", "crawl/d.com/4/page.html", "other-bucket"),
+    ],
+  });
+
+  assert.deepStrictEqual(s3Service.parseObjectEvents(body), [
+    "crawl/a.com/1/page.html",
+    "crawl/b.com/café 2/metadata.json",
+  ]);
+});
+
+test("unwraps notifications delivered through SNS", () => {
+  const body = JSON.stringify({
+    Type: "Notification",
+    Message: JSON.stringify({
+      Records: [record("ObjectCreated:Put", "crawl/a.com/1/page.html")],
+    }),
+  });
+
+  assert.deepStrictEqual(s3Service.parseObjectEvents(body), [
+    "crawl/a.com/1/page.html",
+  ]);
+});
+
+test("ignores test events and unreadable messages", () => {
+  const testEvent = JSON.stringify({
+    Service: "Amazon S3",
+    Event: "s3:TestEvent",
+    Bucket: config.s3.bucket,
+  });
+
+  assert.deepStrictEqual(s3Service.parseObjectEvents(testEvent), []);
+  assert.deepStrictEqual(s3Service.parseObjectEvents("not json"), []);
+});
@@ -0,0 +1,82 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const config = require("../src/config");
+const watermark = require("../src/services/watermark");
+
+const file = (key, time) => ({
+  Key: key,
+  LastModified: new Date(`2024-05-01T10:${time}Z`),
+});
+
+const files = [
+  file("crawl/a.com/1/page.html", "00:00"),
+  file("crawl/a.com/1/metadata.json", "00:00"),
+  file("crawl/b.com/2/page.html", "05:00"),
+  file("crawl/c.com/3/page.html", "10:00"),
+];
+
+test("getListingCutoff goes back by the overlap window", (t) => {
+  const overlapMinutes = config.watermark.overlapMinutes;
+  t.after(() => {
+    config.watermark.overlapMinutes = overlapMinutes;
+  });
+  config.watermark.overlapMinutes = 15;
+
+  const cutoff = watermark.getListingCutoff({
+    lastModified: new Date("2024-05-01T10:00:00Z"),
+    key: "crawl/a.com/1/page.html",
+  });
+  assert.strictEqual(cutoff.toISOString(), "2024-05-01T09:45:00.000Z");
+});
+
+test("advances to the last listed file when nothing failed", () => {
+  const next = watermark.advanceWatermark(null, files);
+
+  assert.strictEqual(next.key, "crawl/c.com/3/page.html");
+  assert.strictEqual(
+    next.lastModified.toISOString(),
+    "2024-05-01T10:10:00.000Z"
+  );
+});
+
+test("orders files modified at the same time by key", () => {
+  const next = watermark.advanceWatermark(null, files.slice(0, 2));
+
+  assert.strictEqual(next.key, "crawl/a.com/1/page.html");
+});
+
+test("stops before the earliest failed file", () => {
+  const next = watermark.advanceWatermark(null, files, [
+    "crawl/c.com/3/page.html",
+    "crawl/b.com/2/page.html",
+  ]);
+
+  assert.strictEqual(next.key, "crawl/a.com/1/page.html");
+});
+
+test("rewinds behind a failed file the watermark already passed", () => {
+  const current = {
+    lastModified: new Date("2024-05-01T10:10:00Z"),
+    key: "crawl/c.com/3/page.html",
+  };
+  const next = watermark.advanceWatermark(current, files, [
+    "crawl/b.com/2/page.html",
+  ]);
+
+  assert.strictEqual(next.key, "crawl/b.com/2/page.html");
+  assert.strictEqual(
+    next.lastModified.toISOString(),
+    "2024-05-01T10:04:59.999Z"
+  );
+  assert.ok(watermark.getListingCutoff(next) < files[2].LastModified);
+});
+
+test("keeps the current watermark when nothing newer was listed", () => {
+  const current = {
+    lastModified: new Date("2024-05-01T11:00:00Z"),
+    key: "crawl/z.com/9/page.html",
+  };
+
+  assert.strictEqual(watermark.advanceWatermark(current, files), current);
+  assert.strictEqual(watermark.advanceWatermark(null, []), null);
+});